@@ -1,11 +1,30 @@
 /**
  * Pathfinding Algorithms
- * Implements BFS, DFS, A*, and Dijkstra
+ * Implements BFS, DFS, A*, Dijkstra, Greedy Best-First,
+ * Bidirectional BFS, Bidirectional A*, Jump Point Search and
+ * D* Lite (incremental replanning)
+ *
+ * Every solver returns { path, visited, trace }:
+ * - visited: expanded cells in order
+ * - trace: one step per expanded cell, aligned with visited:
+ *   { node, parent, g, h, f, frontier: [{ x, y, g, h, f }] }
+ *   g is the depth (BFS, DFS) or cost so far (A*, Dijkstra); h and f
+ *   are only set by the heuristic solvers. frontier lists cells added
+ *   or improved. Bidirectional solvers add side: 'start' | 'end'.
+ *   JPS marks jumpPoint steps, jump: true frontier entries and lists
+ *   the cells it walked over while jumping in scanned. D* Lite searches
+ *   backward from the goal, so its g is the cost still to go
+ *
+ * Step costs come from maze.getMoveCost, so diagonal steps cost √2 when
+ * the maze allows 8-connected movement. The heuristic solvers use the
+ * heuristic named by this.heuristic (see PathfindingAlgorithms.HEURISTICS)
  */
 
 class PathfindingAlgorithms {
     constructor(maze) {
         this.maze = maze;
+        this.heuristic = 'manhattan';
+        this.weight = 1; // Weighted A*: f = g + weight * h
     }
 
     /**
@@ -14,23 +33,33 @@ class PathfindingAlgorithms {
      * Time: O(V + E), Space: O(V)
      */
     bfs(start, end) {
+        // Array + head index gives an O(1) dequeue (shift() is O(n))
         const queue = [start];
+        let head = 0;
         const visited = new Set();
         const parent = new Map();
+        const depth = new Map();
         const visitedOrder = [];
+        const trace = [];
 
         visited.add(this._hash(start));
         parent.set(this._hash(start), null);
+        depth.set(this._hash(start), 0);
 
-        while (queue.length > 0) {
-            const current = queue.shift();
+        while (head < queue.length) {
+            const current = queue[head++];
+            const currentHash = this._hash(current);
+            const g = depth.get(currentHash);
+            const step = this._traceStep(current, parent.get(currentHash), { g });
             visitedOrder.push({ ...current });
+            trace.push(step);
 
             // Found the goal
             if (current.x === end.x && current.y === end.y) {
                 return {
                     path: this._reconstructPath(parent, end),
-                    visited: visitedOrder
+                    visited: visitedOrder,
+                    trace
                 };
             }
 
@@ -40,12 +69,14 @@ class PathfindingAlgorithms {
                 if (!visited.has(hash)) {
                     visited.add(hash);
                     parent.set(hash, current);
+                    depth.set(hash, g + 1);
                     queue.push(neighbor);
+                    step.frontier.push({ x: neighbor.x, y: neighbor.y, g: g + 1 });
                 }
             }
         }
 
-        return { path: [], visited: visitedOrder };
+        return { path: [], visited: visitedOrder, trace };
     }
 
     /**
@@ -57,9 +88,12 @@ class PathfindingAlgorithms {
         const stack = [start];
         const visited = new Set();
         const parent = new Map();
+        const depth = new Map();
         const visitedOrder = [];
+        const trace = [];
 
         parent.set(this._hash(start), null);
+        depth.set(this._hash(start), 0);
 
         while (stack.length > 0) {
             const current = stack.pop();
@@ -67,13 +101,18 @@ class PathfindingAlgorithms {
 
             if (visited.has(hash)) continue;
             visited.add(hash);
+
+            const g = depth.get(hash);
+            const step = this._traceStep(current, parent.get(hash), { g });
             visitedOrder.push({ ...current });
+            trace.push(step);
 
             // Found the goal
             if (current.x === end.x && current.y === end.y) {
                 return {
                     path: this._reconstructPath(parent, end),
-                    visited: visitedOrder
+                    visited: visitedOrder,
+                    trace
                 };
             }
 
@@ -83,45 +122,58 @@ class PathfindingAlgorithms {
                 const nHash = this._hash(neighbor);
                 if (!visited.has(nHash)) {
                     parent.set(nHash, current);
+                    depth.set(nHash, g + 1);
                     stack.push(neighbor);
+                    step.frontier.push({ x: neighbor.x, y: neighbor.y, g: g + 1 });
                 }
             }
         }
 
-        return { path: [], visited: visitedOrder };
+        return { path: [], visited: visitedOrder, trace };
     }
 
     /**
      * A* Algorithm
-     * Uses Manhattan distance heuristic for optimal pathfinding
+     * Optimal as long as the heuristic never overestimates: step costs are
+     * at least 1 (√2 diagonally), so Manhattan is admissible on 4-connected
+     * grids and Octile on 8-connected ones
+     * With weight > 1 (Weighted A*) it expands fewer cells and the path
+     * costs at most weight times the optimum
      * Time: O(E log V), Space: O(V)
      */
     astar(start, end) {
-        // Priority queue implementation using array (min-heap would be better for large mazes)
-        const openSet = [{ node: start, f: 0 }];
+        // Open set keyed by cell hash, prioritized by f-score
+        const openSet = new MinHeap();
         const closedSet = new Set();
         const gScore = new Map();
         const parent = new Map();
         const visitedOrder = [];
+        const trace = [];
 
         gScore.set(this._hash(start), 0);
         parent.set(this._hash(start), null);
+        openSet.push(this._hash(start), start, this.weight * this._heuristic(start, end));
 
-        while (openSet.length > 0) {
+        while (!openSet.isEmpty()) {
             // Get node with lowest f-score
-            openSet.sort((a, b) => a.f - b.f);
-            const { node: current } = openSet.shift();
-            const currentHash = this._hash(current);
-
-            if (closedSet.has(currentHash)) continue;
+            const { key: currentHash, value: current, priority: currentF } = openSet.pop();
             closedSet.add(currentHash);
+
+            const currentG = gScore.get(currentHash);
+            const step = this._traceStep(current, parent.get(currentHash), {
+                g: currentG,
+                h: this._heuristic(current, end),
+                f: currentF
+            });
             visitedOrder.push({ ...current });
+            trace.push(step);
 
             // Found the goal
             if (current.x === end.x && current.y === end.y) {
                 return {
                     path: this._reconstructPath(parent, end),
-                    visited: visitedOrder
+                    visited: visitedOrder,
+                    trace
                 };
             }
 
@@ -130,53 +182,58 @@ class PathfindingAlgorithms {
                 const neighborHash = this._hash(neighbor);
                 if (closedSet.has(neighborHash)) continue;
 
-                const tentativeG = gScore.get(currentHash) + 1;
+                const tentativeG = currentG + this.maze.getMoveCost(current, neighbor);
 
                 if (!gScore.has(neighborHash) || tentativeG < gScore.get(neighborHash)) {
                     gScore.set(neighborHash, tentativeG);
                     parent.set(neighborHash, current);
 
-                    const h = this._manhattan(neighbor, end);
-                    const f = tentativeG + h;
+                    const h = this._heuristic(neighbor, end);
+                    const f = tentativeG + this.weight * h;
 
-                    openSet.push({ node: neighbor, f });
+                    // Inserts, or decreases the key if already open
+                    openSet.push(neighborHash, neighbor, f);
+                    step.frontier.push({ x: neighbor.x, y: neighbor.y, g: tentativeG, h, f });
                 }
             }
         }
 
-        return { path: [], visited: visitedOrder };
+        return { path: [], visited: visitedOrder, trace };
     }
 
     /**
      * Dijkstra's Algorithm
-     * Finds shortest path (same as BFS for unweighted graphs)
+     * Finds the cheapest path using terrain costs
+     * (same as BFS when every cell costs 1)
      * Time: O(E log V), Space: O(V)
      */
     dijkstra(start, end) {
-        const openSet = [{ node: start, dist: 0 }];
+        const openSet = new MinHeap();
         const closedSet = new Set();
         const distance = new Map();
         const parent = new Map();
         const visitedOrder = [];
+        const trace = [];
 
         distance.set(this._hash(start), 0);
         parent.set(this._hash(start), null);
+        openSet.push(this._hash(start), start, 0);
 
-        while (openSet.length > 0) {
+        while (!openSet.isEmpty()) {
             // Get node with smallest distance
-            openSet.sort((a, b) => a.dist - b.dist);
-            const { node: current, dist: currentDist } = openSet.shift();
-            const currentHash = this._hash(current);
-
-            if (closedSet.has(currentHash)) continue;
+            const { key: currentHash, value: current, priority: currentDist } = openSet.pop();
             closedSet.add(currentHash);
+
+            const step = this._traceStep(current, parent.get(currentHash), { g: currentDist });
             visitedOrder.push({ ...current });
+            trace.push(step);
 
             // Found the goal
             if (current.x === end.x && current.y === end.y) {
                 return {
                     path: this._reconstructPath(parent, end),
-                    visited: visitedOrder
+                    visited: visitedOrder,
+                    trace
                 };
             }
 
@@ -185,24 +242,702 @@ class PathfindingAlgorithms {
                 const neighborHash = this._hash(neighbor);
                 if (closedSet.has(neighborHash)) continue;
 
-                const newDist = currentDist + 1;
+                const newDist = currentDist + this.maze.getMoveCost(current, neighbor);
 
                 if (!distance.has(neighborHash) || newDist < distance.get(neighborHash)) {
                     distance.set(neighborHash, newDist);
                     parent.set(neighborHash, current);
-                    openSet.push({ node: neighbor, dist: newDist });
+                    openSet.push(neighborHash, neighbor, newDist);
+                    step.frontier.push({ x: neighbor.x, y: neighbor.y, g: newDist });
+                }
+            }
+        }
+
+        return { path: [], visited: visitedOrder, trace };
+    }
+
+    /**
+     * Greedy Best-First Search
+     * Always expands the cell that looks closest to the goal (h only)
+     * Fast, but the path is not guaranteed to be the shortest
+     * Time: O(E log V), Space: O(V)
+     */
+    greedy(start, end) {
+        const openSet = new MinHeap();
+        const closedSet = new Set();
+        const depth = new Map();
+        const parent = new Map();
+        const visitedOrder = [];
+        const trace = [];
+
+        depth.set(this._hash(start), 0);
+        parent.set(this._hash(start), null);
+        openSet.push(this._hash(start), start, this._heuristic(start, end));
+
+        while (!openSet.isEmpty()) {
+            const { key: currentHash, value: current, priority: h } = openSet.pop();
+            closedSet.add(currentHash);
+
+            const g = depth.get(currentHash);
+            const step = this._traceStep(current, parent.get(currentHash), { g, h, f: h });
+            visitedOrder.push({ ...current });
+            trace.push(step);
+
+            // Found the goal
+            if (current.x === end.x && current.y === end.y) {
+                return {
+                    path: this._reconstructPath(parent, end),
+                    visited: visitedOrder,
+                    trace
+                };
+            }
+
+            // First discovery wins: greedy never re-parents a cell
+            for (const neighbor of this.maze.getNeighbors(current.x, current.y)) {
+                const neighborHash = this._hash(neighbor);
+                if (closedSet.has(neighborHash) || openSet.has(neighborHash)) continue;
+
+                const neighborH = this._heuristic(neighbor, end);
+                depth.set(neighborHash, g + 1);
+                parent.set(neighborHash, current);
+                openSet.push(neighborHash, neighbor, neighborH);
+                step.frontier.push({ x: neighbor.x, y: neighbor.y, g: g + 1, h: neighborH, f: neighborH });
+            }
+        }
+
+        return { path: [], visited: visitedOrder, trace };
+    }
+
+    /**
+     * Bidirectional BFS
+     * Grows one BFS layer from the start, then one from the end, until
+     * the frontiers touch. Explores roughly 2·b^(d/2) instead of b^d cells
+     * Trace steps carry side: 'start' or 'end'
+     * Time: O(V + E), Space: O(V)
+     */
+    bidirectionalBfs(start, end) {
+        const sides = [
+            { name: 'start', root: start },
+            { name: 'end', root: end }
+        ].map(side => {
+            const hash = this._hash(side.root);
+            return {
+                ...side,
+                queue: [side.root],
+                head: 0,
+                parent: new Map([[hash, null]]),
+                depth: new Map([[hash, 0]])
+            };
+        });
+        const visitedOrder = [];
+        const trace = [];
+
+        let turn = 0;
+        while (sides.every(side => side.head < side.queue.length)) {
+            const side = sides[turn];
+            const other = sides[1 - turn];
+
+            // Expand a full layer so the first meeting is a shortest path
+            let best = null;
+            const layerEnd = side.queue.length;
+            while (side.head < layerEnd) {
+                const current = side.queue[side.head++];
+                const currentHash = this._hash(current);
+                const g = side.depth.get(currentHash);
+                const step = this._traceStep(current, side.parent.get(currentHash), { g, side: side.name });
+                visitedOrder.push({ ...current });
+                trace.push(step);
+
+                // Start and end are the same cell
+                if (other.depth.has(currentHash) && !best) {
+                    best = { node: current, length: g + other.depth.get(currentHash) };
+                }
+
+                for (const neighbor of this.maze.getNeighbors(current.x, current.y)) {
+                    const hash = this._hash(neighbor);
+                    if (side.parent.has(hash)) continue;
+
+                    side.parent.set(hash, current);
+                    side.depth.set(hash, g + 1);
+                    side.queue.push(neighbor);
+                    step.frontier.push({ x: neighbor.x, y: neighbor.y, g: g + 1 });
+
+                    // Frontiers touch
+                    if (other.depth.has(hash)) {
+                        const length = g + 1 + other.depth.get(hash);
+                        if (!best || length < best.length) {
+                            best = { node: neighbor, length };
+                        }
+                    }
+                }
+            }
+
+            if (best) {
+                return {
+                    path: this._joinPaths(sides[0].parent, sides[1].parent, best.node),
+                    visited: visitedOrder,
+                    trace
+                };
+            }
+
+            turn = 1 - turn;
+        }
+
+        return { path: [], visited: visitedOrder, trace };
+    }
+
+    /**
+     * Bidirectional A*
+     * Runs A* from the start (h = distance to end) and from the end
+     * (h = distance to start), alternating one expansion each.
+     * Stops once either open set can't beat the best meeting found,
+     * so the result is as cheap as plain A*
+     * Trace steps carry side: 'start' or 'end'
+     * Time: O(E log V), Space: O(V)
+     */
+    bidirectionalAstar(start, end) {
+        const sides = [
+            { name: 'start', root: start, target: end },
+            { name: 'end', root: end, target: start }
+        ].map(side => {
+            const hash = this._hash(side.root);
+            const openSet = new MinHeap();
+            openSet.push(hash, side.root, this._heuristic(side.root, side.target));
+            return {
+                ...side,
+                openSet,
+                closedSet: new Set(),
+                gScore: new Map([[hash, 0]]),
+                parent: new Map([[hash, null]])
+            };
+        });
+        const visitedOrder = [];
+        const trace = [];
+
+        let bestCost = Infinity;
+        let meetingNode = null;
+        let turn = 0;
+
+        while (sides.every(side => !side.openSet.isEmpty())) {
+            // Neither frontier can lead to anything cheaper than the best meeting
+            if (sides.some(side => side.openSet.peek().priority >= bestCost)) break;
+
+            const side = sides[turn];
+            const other = sides[1 - turn];
+            const isForward = side.name === 'start';
+
+            const { key: currentHash, value: current, priority: currentF } = side.openSet.pop();
+            side.closedSet.add(currentHash);
+
+            const currentG = side.gScore.get(currentHash);
+            const step = this._traceStep(current, side.parent.get(currentHash), {
+                g: currentG,
+                h: currentF - currentG,
+                f: currentF,
+                side: side.name
+            });
+            visitedOrder.push({ ...current });
+            trace.push(step);
+
+            for (const neighbor of this.maze.getNeighbors(current.x, current.y)) {
+                const neighborHash = this._hash(neighbor);
+                if (side.closedSet.has(neighborHash)) continue;
+
+                // Moving forward costs the entered cell; searching backward
+                // from the end, the step neighbor -> current costs current
+                const stepCost = isForward
+                    ? this.maze.getMoveCost(current, neighbor)
+                    : this.maze.getMoveCost(neighbor, current);
+                const tentativeG = currentG + stepCost;
+
+                if (!side.gScore.has(neighborHash) || tentativeG < side.gScore.get(neighborHash)) {
+                    side.gScore.set(neighborHash, tentativeG);
+                    side.parent.set(neighborHash, current);
+
+                    const h = this._heuristic(neighbor, side.target);
+                    side.openSet.push(neighborHash, neighbor, tentativeG + h);
+                    step.frontier.push({ x: neighbor.x, y: neighbor.y, g: tentativeG, h, f: tentativeG + h });
+
+                    // Frontiers touch: candidate path through neighbor
+                    if (other.gScore.has(neighborHash)) {
+                        const total = tentativeG + other.gScore.get(neighborHash);
+                        if (total < bestCost) {
+                            bestCost = total;
+                            meetingNode = neighbor;
+                        }
+                    }
+                }
+            }
+
+            // Start and end are the same cell
+            if (other.gScore.has(currentHash) && currentG + other.gScore.get(currentHash) < bestCost) {
+                bestCost = currentG + other.gScore.get(currentHash);
+                meetingNode = current;
+            }
+
+            turn = 1 - turn;
+        }
+
+        if (!meetingNode) {
+            return { path: [], visited: visitedOrder, trace };
+        }
+
+        return {
+            path: this._joinPaths(sides[0].parent, sides[1].parent, meetingNode),
+            visited: visitedOrder,
+            trace
+        };
+    }
+
+    /**
+     * Jump Point Search
+     * A* that skips over straight corridors: from each node it "jumps"
+     * in a direction until something interesting happens (goal, forced
+     * neighbor, weighted terrain) and only those jump points enter the
+     * open set. Intermediate cells are reported in step.scanned
+     * Weighted cells always stop a jump, so terrain costs stay exact
+     * With diagonal movement it prunes as if corners can't be cut, so
+     * looser corner rules run plain A*
+     * Jumps need straight grid lines on one floor: hex, triangle, polar
+     * and multi-level mazes run plain A* too
+     * Time: O(E log V) worst case, far fewer expansions on open grids
+     */
+    jps(start, end) {
+        const cutsCorners = this.maze.diagonal && this.maze.cornerRule !== 'never';
+        if (this.maze.topology || this.maze.floors > 1 || cutsCorners) return this.astar(start, end);
+
+        const openSet = new MinHeap();
+        const closedSet = new Set();
+        const gScore = new Map();
+        const parent = new Map();
+        const visitedOrder = [];
+        const trace = [];
+
+        gScore.set(this._hash(start), 0);
+        parent.set(this._hash(start), null);
+        openSet.push(this._hash(start), start, this._heuristic(start, end));
+
+        while (!openSet.isEmpty()) {
+            const { key: currentHash, value: current, priority: currentF } = openSet.pop();
+            closedSet.add(currentHash);
+
+            const currentG = gScore.get(currentHash);
+            const step = this._traceStep(current, parent.get(currentHash), {
+                g: currentG,
+                h: currentF - currentG,
+                f: currentF,
+                jumpPoint: true
+            });
+            step.scanned = [];
+            visitedOrder.push({ ...current });
+            trace.push(step);
+
+            // Found the goal
+            if (current.x === end.x && current.y === end.y) {
+                return {
+                    path: this._expandJumpPath(this._reconstructPath(parent, end)),
+                    visited: visitedOrder,
+                    trace
+                };
+            }
+
+            for (const direction of this._jpsDirections(current, parent.get(currentHash))) {
+                const jumpPoint = this._jump(current, direction, end, step.scanned);
+                if (!jumpPoint) continue;
+
+                const jumpHash = this._hash(jumpPoint);
+                if (closedSet.has(jumpHash)) continue;
+
+                const tentativeG = currentG + this._segmentCost(current, jumpPoint);
+                if (!gScore.has(jumpHash) || tentativeG < gScore.get(jumpHash)) {
+                    gScore.set(jumpHash, tentativeG);
+                    parent.set(jumpHash, current);
+
+                    const h = this._heuristic(jumpPoint, end);
+                    openSet.push(jumpHash, jumpPoint, tentativeG + h);
+                    step.frontier.push({ x: jumpPoint.x, y: jumpPoint.y, g: tentativeG, h, f: tentativeG + h, jump: true });
+                }
+            }
+        }
+
+        return { path: [], visited: visitedOrder, trace };
+    }
+
+    /**
+     * Directions worth jumping in from a node (pruned by the travel direction)
+     * The start and weighted cells keep every direction
+     */
+    _jpsDirections(node, parentNode) {
+        const diagonal = this.maze.diagonal;
+        let directions = diagonal ? [...Maze.DIRECTIONS, ...Maze.DIAGONALS] : Maze.DIRECTIONS;
+
+        if (parentNode && this._isJumpFree(node.x, node.y) &&
+            !(diagonal && this._hasTerrainAround(node.x, node.y))) {
+            const dx = Math.sign(node.x - parentNode.x);
+            const dy = Math.sign(node.y - parentNode.y);
+            if (dx !== 0 && dy !== 0) {
+                directions = [[dx, 0], [0, dy], [dx, dy]];
+            } else if (dx !== 0) {
+                directions = diagonal
+                    ? [[dx, 0], [0, -1], [0, 1], [dx, -1], [dx, 1]]
+                    : [[dx, 0], [0, -1], [0, 1]];
+            } else {
+                directions = diagonal
+                    ? [[0, dy], [-1, 0], [1, 0], [-1, dy], [1, dy]]
+                    : [[0, dy], [-1, 0], [1, 0]];
+            }
+        }
+
+        return directions.filter(direction => this._canStep(node, direction));
+    }
+
+    /**
+     * Can one step in direction be taken from cell
+     */
+    _canStep(cell, [dx, dy]) {
+        return dx !== 0 && dy !== 0
+            ? this.maze.canMoveDiagonally(cell.x, cell.y, dx, dy)
+            : this.maze.isWalkable(cell.x + dx, cell.y + dy);
+    }
+
+    /**
+     * Walk from a node in one direction until reaching a jump point
+     * Returns the jump point, or null if the corridor is a dead end
+     * Every cell walked over is appended to scanned
+     */
+    _jump(from, [dx, dy], end, scanned) {
+        let x = from.x;
+        let y = from.y;
+
+        while (true) {
+            if (!this._canStep({ x, y }, [dx, dy])) return null;
+            x += dx;
+            y += dy;
+            scanned.push({ x, y });
+
+            if (x === end.x && y === end.y) return { x, y };
+
+            // Weighted terrain breaks the symmetry JPS relies on; diagonal
+            // pruning compares whole 3x3 blocks, so any weighted neighbor does
+            if (!this._isJumpFree(x, y)) return { x, y };
+            if (this.maze.diagonal && this._hasTerrainAround(x, y)) return { x, y };
+
+            if (dx !== 0 && dy !== 0) {
+                // Diagonal moves stop where a straight jump would find something
+                if (this._jump({ x, y }, [dx, 0], end, scanned) ||
+                    this._jump({ x, y }, [0, dy], end, scanned)) {
+                    return { x, y };
+                }
+            } else if (dx !== 0) {
+                // Forced neighbor: open above/below here but blocked behind
+                if ((this.maze.isWalkable(x, y - 1) && !this._isJumpFree(x - dx, y - 1)) ||
+                    (this.maze.isWalkable(x, y + 1) && !this._isJumpFree(x - dx, y + 1))) {
+                    return { x, y };
+                }
+            } else {
+                if ((this.maze.isWalkable(x - 1, y) && !this._isJumpFree(x - 1, y - dy)) ||
+                    (this.maze.isWalkable(x + 1, y) && !this._isJumpFree(x + 1, y - dy))) {
+                    return { x, y };
+                }
+
+                // Vertical moves stop where a horizontal jump would find something
+                if (this._jump({ x, y }, [1, 0], end, scanned) ||
+                    this._jump({ x, y }, [-1, 0], end, scanned)) {
+                    return { x, y };
+                }
+            }
+        }
+    }
+
+    /**
+     * Open cell with the base cost of 1
+     */
+    _isJumpFree(x, y) {
+        return this.maze.isWalkable(x, y) && this.maze.getCost(x, y) === 1;
+    }
+
+    /**
+     * Any open cell among the 8 around (x, y) with a cost above 1
+     */
+    _hasTerrainAround(x, y) {
+        return [...Maze.DIRECTIONS, ...Maze.DIAGONALS].some(([dx, dy]) =>
+            this.maze.isWalkable(x + dx, y + dy) && !this._isJumpFree(x + dx, y + dy)
+        );
+    }
+
+    /**
+     * Cells strictly after a and up to b on a straight or diagonal line
+     */
+    _segmentCells(a, b) {
+        const cells = [];
+        const dx = Math.sign(b.x - a.x);
+        const dy = Math.sign(b.y - a.y);
+        let x = a.x;
+        let y = a.y;
+
+        while (x !== b.x || y !== b.y) {
+            x += dx;
+            y += dy;
+            cells.push({ x, y });
+        }
+
+        return cells;
+    }
+
+    _segmentCost(a, b) {
+        return this.getPathCost([a, ...this._segmentCells(a, b)]);
+    }
+
+    /**
+     * Turn a list of jump points into a cell-by-cell path
+     */
+    _expandJumpPath(jumpPoints) {
+        if (jumpPoints.length === 0) return [];
+
+        const path = [{ ...jumpPoints[0] }];
+        for (let i = 1; i < jumpPoints.length; i++) {
+            path.push(...this._segmentCells(jumpPoints[i - 1], jumpPoints[i]));
+        }
+        return path;
+    }
+
+    // ==========================================
+    // D* LITE
+    // ==========================================
+
+    /**
+     * D* Lite
+     * Searches backward from the goal and keeps its g/rhs values, so after
+     * walls change or the agent moves, repairPath() only re-expands the
+     * cells whose cost-to-goal changed instead of planning from scratch
+     * Returns { path, visited, trace, planner }; planner is the state
+     * repairPath() works on
+     * Time: O(E log V) for the first plan, usually much less per repair
+     */
+    dstarLite(start, end) {
+        const planner = {
+            start: { x: start.x, y: start.y },
+            goal: { x: end.x, y: end.y },
+            last: { x: start.x, y: start.y }, // Start when km was last updated
+            km: 0,                             // Heuristic offset as the start moves
+            g: new Map(),
+            rhs: new Map(),                    // One-step lookahead of g
+            openSet: new MinHeap(PathfindingAlgorithms._compareKeys)
+        };
+
+        planner.rhs.set(this._hash(end), 0);
+        planner.openSet.push(this._hash(end), planner.goal, this._dstarPriority(planner, end));
+
+        return { ...this._dstarComputePath(planner), planner };
+    }
+
+    /**
+     * Repair a D* Lite plan after the cells in changed were walled or
+     * opened and the agent moved to current
+     * visited and trace only hold the cells re-expanded by the repair
+     */
+    repairPath(planner, changed, current) {
+        planner.km += this._heuristic(planner.last, current);
+        planner.last = { x: current.x, y: current.y };
+        planner.start = { x: current.x, y: current.y };
+
+        // A changed cell alters its own rhs and the rhs of every cell around
+        // it (a wall can also open or close the diagonal steps beside it)
+        const around = this.maze.diagonal ? [...Maze.DIRECTIONS, ...Maze.DIAGONALS] : Maze.DIRECTIONS;
+        for (const cell of changed) {
+            this._dstarUpdateVertex(planner, cell);
+            for (const [dx, dy] of around) {
+                if (this.maze.isWalkable(cell.x + dx, cell.y + dy)) {
+                    this._dstarUpdateVertex(planner, { x: cell.x + dx, y: cell.y + dy });
+                }
+            }
+        }
+
+        return this._dstarComputePath(planner);
+    }
+
+    _dstarComputePath(planner) {
+        const { openSet, start } = planner;
+        const visitedOrder = [];
+        const trace = [];
+
+        while (!openSet.isEmpty() &&
+            (PathfindingAlgorithms._compareKeys(openSet.peek().priority, this._dstarPriority(planner, start)) < 0 ||
+                this._dstarRhs(planner, start) !== this._dstarG(planner, start))) {
+            const { key, value: cell, priority } = openSet.pop();
+
+            // Keys pushed before the start moved are too low: requeue
+            const current = this._dstarPriority(planner, cell);
+            if (PathfindingAlgorithms._compareKeys(priority, current) < 0) {
+                openSet.push(key, cell, current);
+                continue;
+            }
+
+            const h = this._heuristic(start, cell);
+            const rhs = this._dstarRhs(planner, cell);
+            const step = this._traceStep(cell, null, {});
+            visitedOrder.push({ ...cell });
+            trace.push(step);
+
+            if (this._dstarG(planner, cell) > rhs) {
+                // Overconsistent: the cell got cheaper, settle it
+                planner.g.set(key, rhs);
+                Object.assign(step, { g: rhs, h, f: rhs + h });
+                for (const neighbor of this.maze.getNeighbors(cell.x, cell.y)) {
+                    this._dstarUpdateVertex(planner, neighbor, step);
+                }
+            } else {
+                // Underconsistent: the cell got dearer, invalidate it and its dependents
+                planner.g.set(key, Infinity);
+                for (const neighbor of [cell, ...this.maze.getNeighbors(cell.x, cell.y)]) {
+                    this._dstarUpdateVertex(planner, neighbor, step);
                 }
             }
         }
 
-        return { path: [], visited: visitedOrder };
+        return { path: this._dstarExtractPath(planner), visited: visitedOrder, trace };
     }
 
     /**
-     * Manhattan distance heuristic
+     * Recompute rhs of a cell and (re)queue it if it is inconsistent
      */
-    _manhattan(a, b) {
-        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+    _dstarUpdateVertex(planner, cell, step) {
+        const key = this._hash(cell);
+
+        if (key !== this._hash(planner.goal)) {
+            let rhs = Infinity;
+            if (this.maze.isWalkable(cell.x, cell.y)) {
+                for (const neighbor of this.maze.getNeighbors(cell.x, cell.y)) {
+                    rhs = Math.min(rhs, this.maze.getMoveCost(cell, neighbor) + this._dstarG(planner, neighbor));
+                }
+            }
+            planner.rhs.set(key, rhs);
+        }
+
+        planner.openSet.remove(key);
+
+        const rhs = this._dstarRhs(planner, cell);
+        if (this._dstarG(planner, cell) !== rhs) {
+            planner.openSet.push(key, { x: cell.x, y: cell.y }, this._dstarPriority(planner, cell));
+            if (step) {
+                const h = this._heuristic(planner.start, cell);
+                step.frontier.push(rhs === Infinity
+                    ? { x: cell.x, y: cell.y }
+                    : { x: cell.x, y: cell.y, g: rhs, h, f: rhs + h });
+            }
+        }
+    }
+
+    /**
+     * D* Lite orders cells by the key [min(g, rhs) + h + km, min(g, rhs)],
+     * compared lexicographically by _compareKeys
+     */
+    _dstarPriority(planner, cell) {
+        const k2 = Math.min(this._dstarG(planner, cell), this._dstarRhs(planner, cell));
+        const k1 = k2 + this._heuristic(planner.start, cell) + planner.km;
+        return [k1, k2];
+    }
+
+    _dstarG(planner, cell) {
+        const g = planner.g.get(this._hash(cell));
+        return g === undefined ? Infinity : g;
+    }
+
+    _dstarRhs(planner, cell) {
+        const rhs = planner.rhs.get(this._hash(cell));
+        return rhs === undefined ? Infinity : rhs;
+    }
+
+    /**
+     * Walk downhill on step cost + g from the start to the goal
+     */
+    _dstarExtractPath(planner) {
+        const { start, goal } = planner;
+        if (this._dstarG(planner, start) === Infinity) return [];
+
+        const path = [{ ...start }];
+        let current = start;
+
+        while (current.x !== goal.x || current.y !== goal.y) {
+            let next = null;
+            let nextValue = Infinity;
+            for (const neighbor of this.maze.getNeighbors(current.x, current.y)) {
+                const value = this.maze.getMoveCost(current, neighbor) + this._dstarG(planner, neighbor);
+                if (value < nextValue) {
+                    next = neighbor;
+                    nextValue = value;
+                }
+            }
+
+            // Guard against a stale plan looping forever
+            if (!next || path.length > this.maze.size * this.maze.size * this.maze.floors) return [];
+            path.push(next);
+            current = next;
+        }
+
+        return path;
+    }
+
+    /**
+     * Total movement cost of a path (the start cell is free)
+     * Rounded so sums of √2 steps compare equal whatever their order
+     */
+    getPathCost(path) {
+        let cost = 0;
+        for (let i = 1; i < path.length; i++) {
+            cost += this.maze.getMoveCost(path[i - 1], path[i]);
+        }
+        return Math.round(cost * 1e6) / 1e6;
+    }
+
+    /**
+     * Create a trace entry for an expanded node
+     */
+    _traceStep(node, parentNode, scores) {
+        return {
+            node: { x: node.x, y: node.y },
+            parent: parentNode ? { x: parentNode.x, y: parentNode.y } : null,
+            ...scores,
+            frontier: []
+        };
+    }
+
+    /**
+     * Estimated cost between two cells with the selected heuristic
+     * Topology mazes use the topology's distance, a lower bound on the
+     * step count, admissible since no step costs less than 1
+     * On multi-level mazes the estimate is taken within a floor, plus one
+     * step per floor to climb or descend
+     */
+    _heuristic(a, b) {
+        if (this.maze.topology) return this.maze.topology.distance(a, b);
+        const heuristic = PathfindingAlgorithms.HEURISTICS[this.heuristic] || PathfindingAlgorithms.HEURISTICS.manhattan;
+
+        const floorA = this.maze.getFloor(a.x);
+        const floorB = this.maze.getFloor(b.x);
+        const dx = Math.abs((a.x - floorA * this.maze.size) - (b.x - floorB * this.maze.size));
+        return heuristic.estimate(dx, Math.abs(a.y - b.y)) + Math.abs(floorA - floorB);
+    }
+
+    /**
+     * Costs with √2 steps get two decimals; integer costs stay as they are
+     */
+    static formatCost(cost) {
+        return Number.isInteger(cost) ? `${cost}` : cost.toFixed(2);
+    }
+
+    /**
+     * Lexicographic order of D* Lite keys [k1, k2]
+     * Values closer than KEY_EPSILON tie: sums of √2 steps that are equal
+     * on paper can differ in the last bit, and a false order would end
+     * the search before the start is settled
+     */
+    static _compareKeys(a, b) {
+        for (let i = 0; i < 2; i++) {
+            // Infinity - Infinity is NaN, which also counts as a tie here
+            if (Math.abs(a[i] - b[i]) > PathfindingAlgorithms.KEY_EPSILON) return a[i] < b[i] ? -1 : 1;
+        }
+        return 0;
     }
 
     /**
@@ -212,6 +947,15 @@ class PathfindingAlgorithms {
         return `${pos.x},${pos.y}`;
     }
 
+    /**
+     * Join the two halves of a bidirectional search at the meeting cell
+     */
+    _joinPaths(forwardParent, backwardParent, meet) {
+        const forward = this._reconstructPath(forwardParent, meet);
+        const backward = this._reconstructPath(backwardParent, meet).reverse();
+        return forward.concat(backward.slice(1));
+    }
+
     /**
      * Reconstruct path from parent map
      */
@@ -240,12 +984,66 @@ class PathfindingAlgorithms {
                 return this.astar(start, end);
             case 'dijkstra':
                 return this.dijkstra(start, end);
+            case 'greedy':
+                return this.greedy(start, end);
+            case 'bibfs':
+                return this.bidirectionalBfs(start, end);
+            case 'biastar':
+                return this.bidirectionalAstar(start, end);
+            case 'jps':
+                return this.jps(start, end);
+            case 'dstar':
+                return this.dstarLite(start, end);
             default:
                 return this.bfs(start, end);
         }
     }
 }
 
+/**
+ * Display names of every solver accepted by solve()
+ */
+PathfindingAlgorithms.ALGORITHMS = {
+    bfs: 'BFS',
+    dfs: 'DFS',
+    astar: 'A*',
+    dijkstra: 'Dijkstra',
+    greedy: 'Greedy',
+    bibfs: 'Bi-BFS',
+    biastar: 'Bi-A*',
+    jps: 'JPS',
+    dstar: 'D* Lite'
+};
+
+// Tolerance when comparing D* Lite keys
+PathfindingAlgorithms.KEY_EPSILON = 1e-9;
+
+/**
+ * Heuristics for the informed solvers, as functions of |dx| and |dy|
+ */
+PathfindingAlgorithms.HEURISTICS = {
+    manhattan: {
+        name: 'Manhattan',
+        estimate: (dx, dy) => dx + dy
+    },
+    euclidean: {
+        name: 'Euclídea',
+        estimate: (dx, dy) => Math.sqrt(dx * dx + dy * dy)
+    },
+    octile: {
+        name: 'Octil',
+        estimate: (dx, dy) => Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)
+    },
+    chebyshev: {
+        name: 'Chebyshev',
+        estimate: (dx, dy) => Math.max(dx, dy)
+    },
+    zero: {
+        name: 'Cero (Dijkstra)',
+        estimate: () => 0
+    }
+};
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PathfindingAlgorithms;
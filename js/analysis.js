@@ -0,0 +1,185 @@
+/**
+ * Maze Analyzer
+ * Structural statistics of a generated grid, to compare generators
+ * objectively instead of by their textbook description
+ */
+
+class MazeAnalyzer {
+    constructor(maze) {
+        this.maze = maze;
+    }
+
+    /**
+     * Compute every statistic
+     *
+     * - deadEnds: open cells with a single open side
+     * - junctions: open cells with three or more open sides
+     * - corridors: runs of cells with exactly two open sides,
+     *   as { count, mean, longest, histogram: [{ label, count }] }
+     * - diameter: longest shortest path between two reachable cells
+     *   (exact on perfect mazes; a lower bound when the maze has loops)
+     * - solutionLength / reachableCells and their ratio
+     * - riverFactor: share of open cells that are plain corridor cells;
+     *   high values mean long flowing passages with few decisions
+     */
+    analyze() {
+        const degrees = this._computeDegrees();
+        const openCells = [...degrees.keys()];
+
+        let deadEnds = 0;
+        let junctions = 0;
+        let corridorCells = 0;
+        let edgeCount = 0;
+        for (const degree of degrees.values()) {
+            if (degree === 1) deadEnds++;
+            if (degree === 2) corridorCells++;
+            if (degree >= 3) junctions++;
+            edgeCount += degree;
+        }
+        edgeCount /= 2;
+
+        const fromStart = this._bfs(this.maze.start);
+        const reachableCells = fromStart.distances.size;
+        const endDistance = fromStart.distances.get(this._hash(this.maze.end));
+        const solutionLength = endDistance === undefined ? 0 : endDistance + 1;
+
+        // Double sweep: farthest cell from the start, then farthest from that
+        const sweep = this._bfs(fromStart.farthest);
+        const isTree = edgeCount === openCells.length - 1;
+
+        return {
+            openCells: openCells.length,
+            deadEnds,
+            junctions,
+            corridors: this._analyzeCorridors(degrees),
+            diameter: sweep.maxDistance,
+            diameterExact: isTree,
+            solutionLength,
+            reachableCells,
+            solutionRatio: reachableCells > 0 ? solutionLength / reachableCells : 0,
+            riverFactor: openCells.length > 0 ? corridorCells / openCells.length : 0,
+            isPerfect: isTree
+        };
+    }
+
+    /**
+     * Number of open neighbors of every open cell
+     */
+    _computeDegrees() {
+        const degrees = new Map();
+        const { grid } = this.maze;
+
+        for (let y = 0; y < grid.length; y++) {
+            for (let x = 0; x < grid[y].length; x++) {
+                if (this.maze.isWalkable(x, y)) {
+                    degrees.set(this._hash({ x, y }), this._openNeighbors(x, y).length);
+                }
+            }
+        }
+
+        return degrees;
+    }
+
+    /**
+     * Open orthogonal neighbors and stairs: the structure is measured on
+     * the carved grid whether or not diagonal movement is enabled
+     * Topology mazes have no diagonals: their open passages
+     */
+    _openNeighbors(x, y) {
+        if (this.maze.topology) return this.maze.getNeighbors(x, y);
+
+        return Maze.DIRECTIONS
+            .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+            .filter(cell => this.maze.isWalkable(cell.x, cell.y))
+            .concat(this.maze.getFloorLinks(x, y));
+    }
+
+    /**
+     * Breadth-first distances from a cell
+     */
+    _bfs(start) {
+        const distances = new Map([[this._hash(start), 0]]);
+        const queue = [start];
+        let head = 0;
+        let farthest = start;
+        let maxDistance = 0;
+
+        while (head < queue.length) {
+            const current = queue[head++];
+            const distance = distances.get(this._hash(current));
+
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = current;
+            }
+
+            for (const neighbor of this._openNeighbors(current.x, current.y)) {
+                const hash = this._hash(neighbor);
+                if (!distances.has(hash)) {
+                    distances.set(hash, distance + 1);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return { distances, farthest, maxDistance };
+    }
+
+    /**
+     * Measure maximal runs of degree-2 cells
+     */
+    _analyzeCorridors(degrees) {
+        const seen = new Set();
+        const lengths = [];
+
+        for (const [key, degree] of degrees) {
+            if (degree !== 2 || seen.has(key)) continue;
+
+            // Flood along degree-2 cells only
+            const [x, y] = key.split(',').map(Number);
+            const stack = [{ x, y }];
+            seen.add(key);
+            let length = 0;
+
+            while (stack.length > 0) {
+                const current = stack.pop();
+                length++;
+
+                for (const neighbor of this._openNeighbors(current.x, current.y)) {
+                    const hash = this._hash(neighbor);
+                    if (degrees.get(hash) === 2 && !seen.has(hash)) {
+                        seen.add(hash);
+                        stack.push(neighbor);
+                    }
+                }
+            }
+
+            lengths.push(length);
+        }
+
+        // Power-of-two buckets: 1, 2-3, 4-7, 8-15, 16-31, 32+
+        const buckets = [1, 2, 4, 8, 16, 32];
+        const histogram = buckets.map((min, i) => {
+            const max = buckets[i + 1] ? buckets[i + 1] - 1 : Infinity;
+            const label = max === Infinity ? `${min}+` : (min === max ? `${min}` : `${min}-${max}`);
+            const count = lengths.filter(length => length >= min && length <= max).length;
+            return { label, count };
+        });
+
+        return {
+            count: lengths.length,
+            mean: lengths.length > 0 ? lengths.reduce((sum, l) => sum + l, 0) / lengths.length : 0,
+            longest: lengths.length > 0 ? Math.max(...lengths) : 0,
+            histogram
+        };
+    }
+
+    _hash(pos) {
+        return `${pos.x},${pos.y}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeAnalyzer;
+}
@@ -0,0 +1,234 @@
+/**
+ * NPC Behavior
+ * Finite state machine on top of the solvers: patrol, wander, seek, flee
+ * Transitions are driven by what the NPC can see of its target
+ * (line of sight within a radius) and by step timers
+ *
+ *   patrol/wander --sees target--> seek (guard) or flee (prey)
+ *   seek   --reaches last known cell without seeing it--> wander
+ *   flee   --target out of sight for CALM_STEPS--> wander
+ *   wander --WANDER_STEPS without seeing it--> patrol
+ */
+
+class NPCBehavior {
+    /**
+     * personality: 'guard' seeks the target, 'prey' flees from it
+     */
+    constructor(maze, pathfinder, { personality = 'guard', algorithm = 'astar', home, sightRadius = 8 } = {}) {
+        this.maze = maze;
+        this.pathfinder = pathfinder;
+        this.personality = personality;
+        this.algorithm = algorithm;
+        this.sightRadius = sightRadius;
+        this.rng = new SeededRandom(`${maze.seed}-behavior`);
+
+        this.state = 'patrol';
+        this.waypoints = this._pickWaypoints(home, NPCBehavior.WAYPOINTS);
+        this.waypointIndex = 1 % this.waypoints.length;
+        this.lastSeen = null;
+        this.timer = 0;
+        this.previous = null; // Cell the NPC came from, wandering avoids it
+
+        // Called with (newState, oldState) on every transition
+        this.onStateChange = null;
+    }
+
+    /**
+     * Perceive, transition and pick the next cell
+     * Returns { next, path, visited }: next is null to stay in place,
+     * path is the current plan (if any) and visited the solver expansions
+     */
+    step(position, target) {
+        const visible = this.canSee(position, target);
+        if (visible) this.lastSeen = { x: target.x, y: target.y };
+
+        this._transition(position, visible);
+
+        let decision;
+        switch (this.state) {
+            case 'patrol':
+                decision = this._patrol(position);
+                break;
+            case 'wander':
+                decision = this._wander(position);
+                break;
+            case 'seek':
+                decision = this._moveToward(position, this.lastSeen);
+                break;
+            case 'flee':
+                decision = this._flee(position, target);
+                break;
+        }
+
+        this.previous = { x: position.x, y: position.y };
+        return decision;
+    }
+
+    /**
+     * Target within sightRadius (Euclidean) and not hidden behind walls
+     */
+    canSee(position, target) {
+        const dx = target.x - position.x;
+        const dy = target.y - position.y;
+        if (dx * dx + dy * dy > this.sightRadius * this.sightRadius) return false;
+        return this.maze.hasLineOfSight(position, target);
+    }
+
+    _transition(position, visible) {
+        const previous = this.state;
+
+        if (visible) {
+            this.state = this.personality === 'prey' ? 'flee' : 'seek';
+            this.timer = NPCBehavior.CALM_STEPS;
+        } else if (this.state === 'seek') {
+            // Search the last known cell before giving up
+            if (position.x === this.lastSeen.x && position.y === this.lastSeen.y) {
+                this.state = 'wander';
+                this.timer = NPCBehavior.WANDER_STEPS;
+            }
+        } else if (this.state === 'flee') {
+            if (--this.timer <= 0) {
+                this.state = 'wander';
+                this.timer = NPCBehavior.WANDER_STEPS;
+            }
+        } else if (this.state === 'wander') {
+            if (--this.timer <= 0) {
+                this.state = 'patrol';
+                this.waypointIndex = this._nearestWaypoint(position);
+            }
+        }
+
+        if (this.state !== previous && this.onStateChange) {
+            this.onStateChange(this.state, previous);
+        }
+    }
+
+    // ==========================================
+    // ACTIONS
+    // ==========================================
+
+    /**
+     * Walk the waypoint loop, advancing when a waypoint is reached
+     */
+    _patrol(position) {
+        let waypoint = this.waypoints[this.waypointIndex];
+        if (position.x === waypoint.x && position.y === waypoint.y) {
+            this.waypointIndex = (this.waypointIndex + 1) % this.waypoints.length;
+            waypoint = this.waypoints[this.waypointIndex];
+        }
+        return this._moveToward(position, waypoint);
+    }
+
+    /**
+     * Random neighbor, never turning back unless at a dead end
+     */
+    _wander(position) {
+        const neighbors = this.maze.getNeighbors(position.x, position.y);
+        const forward = neighbors.filter(cell =>
+            !this.previous || cell.x !== this.previous.x || cell.y !== this.previous.y
+        );
+        const options = forward.length > 0 ? forward : neighbors;
+        return { next: options.length > 0 ? this.rng.pick(options) : null, path: [], visited: 0 };
+    }
+
+    /**
+     * Neighbor that gets farthest (in steps) from the threat
+     * Staying put is allowed when every move gets closer
+     */
+    _flee(position, threat) {
+        const distances = this.maze.getDistances(threat);
+        const distance = (cell) => {
+            const d = distances.get(`${cell.x},${cell.y}`);
+            return d === undefined ? Infinity : d;
+        };
+
+        let best = null;
+        let bestDistance = distance(position);
+        for (const neighbor of this.maze.getNeighbors(position.x, position.y)) {
+            const d = distance(neighbor);
+            if (d > bestDistance || (d === bestDistance && best && this.rng.next() < 0.5)) {
+                best = neighbor;
+                bestDistance = d;
+            }
+        }
+
+        return { next: best, path: [], visited: distances.size };
+    }
+
+    _moveToward(position, goal) {
+        const result = this.pathfinder.solve(this.algorithm, position, goal);
+        return {
+            next: result.path.length > 1 ? result.path[1] : null,
+            path: result.path,
+            visited: result.visited.length
+        };
+    }
+
+    // ==========================================
+    // WAYPOINTS
+    // ==========================================
+
+    /**
+     * Spread waypoints over the reachable area by farthest-point sampling,
+     * starting from home
+     */
+    _pickWaypoints(home, count) {
+        const waypoints = [{ x: home.x, y: home.y }];
+        const nearest = this.maze.getDistances(home);
+
+        while (waypoints.length < count) {
+            let farthest = null;
+            let farthestDistance = 0;
+            for (const [key, distance] of nearest) {
+                if (distance > farthestDistance) {
+                    farthest = key;
+                    farthestDistance = distance;
+                }
+            }
+            if (!farthest) break;
+
+            const [x, y] = farthest.split(',').map(Number);
+            waypoints.push({ x, y });
+            for (const [key, distance] of this.maze.getDistances({ x, y })) {
+                if (distance < nearest.get(key)) nearest.set(key, distance);
+            }
+        }
+
+        return waypoints;
+    }
+
+    _nearestWaypoint(position) {
+        const distances = this.maze.getDistances(position);
+        let best = this.waypointIndex;
+        let bestDistance = Infinity;
+
+        this.waypoints.forEach((waypoint, i) => {
+            const distance = distances.get(`${waypoint.x},${waypoint.y}`);
+            if (distance !== undefined && distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+}
+
+NPCBehavior.WAYPOINTS = 4;
+NPCBehavior.WANDER_STEPS = 12;
+NPCBehavior.CALM_STEPS = 6;
+
+/**
+ * Text shown above the NPC for each state
+ */
+NPCBehavior.LABELS = {
+    patrol: '🛡️ Patrulla',
+    wander: '🎲 Deambula',
+    seek: '🎯 Persigue',
+    flee: '💨 Huye'
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NPCBehavior;
+}
@@ -0,0 +1,276 @@
+/**
+ * Chase Mode
+ * The user steers a player avatar with the arrow keys or WASD while the NPC
+ * replans toward the player's current cell before every step it takes,
+ * or follows an NPCBehavior state machine (guard or prey)
+ */
+
+class ChaseMode {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.maze = null;
+        this.pathfinder = null;
+        this.algorithm = 'astar';
+        this.behavior = null; // NPCBehavior, or null to always seek
+
+        this.player = null;
+        this.hunter = null;
+        this.outcome = null; // null, caught, escaped, captured
+
+        // Loop
+        this.isRunning = false;
+        this.animationFrameId = null;
+        this.lastTime = 0;
+        this.nextPlayerMove = 0;
+        this.nextHunterMove = 0;
+        this.hunterDelay = 250;
+
+        // Input: a held key keeps walking, a quick tap between frames still counts once
+        this.heldDirection = null;
+        this.queuedDirection = null;
+
+        this.stats = this._emptyStats();
+
+        // Called after every replan with this.stats
+        this.onUpdate = null;
+        // Called with the outcome once the last move has been animated
+        this.onComplete = null;
+
+        this._onKeyDown = (e) => this._handleKey(e, true);
+        this._onKeyUp = (e) => this._handleKey(e, false);
+    }
+
+    /**
+     * Player starts at maze.start; the NPC starts on the cell farthest
+     * from both the start and the end, so the player gets a fair head start
+     * personality: 'direct' always seeks the player; 'guard' and 'prey'
+     * run an NPCBehavior (with prey, the player is the one hunting)
+     */
+    start(maze, pathfinder, algorithm, personality = 'direct') {
+        this.stop();
+
+        this.maze = maze;
+        this.pathfinder = pathfinder;
+        this.algorithm = algorithm;
+        this.outcome = null;
+        this.stats = this._emptyStats();
+        this.heldDirection = null;
+        this.queuedDirection = null;
+
+        this.player = new NPC(maze.start.x, maze.start.y);
+        this.player.setColors(NPC.COLORS[1]);
+        this.player.animationSpeed = 0.25;
+
+        const hunterStart = this._pickHunterStart();
+        this.hunter = new NPC(hunterStart.x, hunterStart.y);
+        this.hunter.animationSpeed = 0.2;
+
+        this.behavior = personality === 'direct'
+            ? null
+            : new NPCBehavior(maze, pathfinder, { personality, algorithm, home: hunterStart });
+        if (this.behavior) this.hunter.label = NPCBehavior.LABELS[this.behavior.state];
+
+        this.renderer.clear();
+        this.renderer.renderMaze();
+
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        this.nextPlayerMove = 0;
+        this.nextHunterMove = this.lastTime + this.hunterDelay * 2;
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    stop() {
+        this.isRunning = false;
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    /**
+     * Map the animation speed slider (1-100) to the NPC step delay
+     * The player always walks at the same pace
+     */
+    setSpeed(speed) {
+        this.hunterDelay = ChaseMode.PLAYER_DELAY + (1 - speed / 100) * 300;
+    }
+
+    _emptyStats() {
+        return { replans: 0, nodesVisited: 0, hunterSteps: 0, hunterCost: 0, playerSteps: 0, planningTime: 0 };
+    }
+
+    _handleKey(event, pressed) {
+        const direction = ChaseMode.KEYS[event.code];
+        if (!direction) return;
+
+        // Let text fields and selects keep their keys
+        if (event.target.matches && event.target.matches('input[type="text"], select, textarea')) return;
+        event.preventDefault();
+
+        if (pressed) {
+            this.heldDirection = direction;
+            this.queuedDirection = direction;
+        } else if (this.heldDirection === direction) {
+            this.heldDirection = null;
+        }
+    }
+
+    _animate(currentTime) {
+        if (!this.isRunning) return;
+
+        const deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        if (!this.outcome) this._movePlayer(currentTime);
+        if (!this.outcome) this._moveHunter(currentTime);
+
+        const playerMoving = this.player.update(deltaTime);
+        const hunterMoving = this.hunter.update(deltaTime);
+        this.renderer.redraw([this.player, this.hunter]);
+
+        // Finish once the last step has been animated
+        if (this.outcome && !playerMoving && !hunterMoving) {
+            this.stop();
+            if (this.onComplete) this.onComplete(this.outcome);
+            return;
+        }
+
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    _movePlayer(currentTime) {
+        const direction = this.queuedDirection || this.heldDirection;
+        if (!direction || this.player.isAnimating() || currentTime < this.nextPlayerMove) return;
+        this.queuedDirection = null;
+
+        const x = this.player.targetX + direction[0];
+        const y = this.player.targetY + direction[1];
+        if (!this.maze.isWalkable(x, y)) return;
+
+        // Weighted terrain slows the player down as much as it costs
+        this.player.moveTo(x, y);
+        this.nextPlayerMove = currentTime + ChaseMode.PLAYER_DELAY * this.maze.getCost(x, y);
+        this.stats.playerSteps++;
+
+        if (this._isCaught()) {
+            this.outcome = this._catchOutcome();
+        } else if (x === this.maze.end.x && y === this.maze.end.y && !this._isPrey()) {
+            this.outcome = 'escaped';
+        }
+    }
+
+    /**
+     * Decide and take one NPC step: replan from scratch toward the player,
+     * or let the behavior state machine choose
+     */
+    _moveHunter(currentTime) {
+        if (this.hunter.isAnimating() || currentTime < this.nextHunterMove) return;
+
+        const from = { x: this.hunter.targetX, y: this.hunter.targetY };
+        const target = { x: this.player.targetX, y: this.player.targetY };
+
+        const planStart = performance.now();
+        let decision;
+        if (this.behavior) {
+            decision = this.behavior.step(from, target);
+            this.hunter.label = NPCBehavior.LABELS[this.behavior.state];
+        } else {
+            const result = this.pathfinder.solve(this.algorithm, from, target);
+            decision = {
+                next: result.path.length > 1 ? result.path[1] : null,
+                path: result.path,
+                visited: result.visited.length
+            };
+        }
+        this.stats.planningTime += performance.now() - planStart;
+        this.stats.replans++;
+        this.stats.nodesVisited += decision.visited;
+
+        // Show the current plan as the solution path
+        this.renderer.setSolutionPath(decision.path, decision.path.length);
+
+        if (decision.next) {
+            const next = decision.next;
+            const cost = this.maze.getMoveCost(from, next);
+            this.hunter.moveTo(next.x, next.y);
+            this.stats.hunterSteps++;
+            this.stats.hunterCost += cost;
+            this.nextHunterMove = currentTime + this.hunterDelay * cost;
+        } else {
+            // Nowhere to go (player unreachable or cornered): try again later
+            this.nextHunterMove = currentTime + this.hunterDelay;
+        }
+
+        if (this._isCaught()) this.outcome = this._catchOutcome();
+        if (this.onUpdate) this.onUpdate(this.stats);
+    }
+
+    /**
+     * Both heading for the same cell, or swapping cells (passing through
+     * each other on the same tick)
+     */
+    _isCaught() {
+        const { player, hunter } = this;
+        const sameTarget = player.targetX === hunter.targetX && player.targetY === hunter.targetY;
+        const swapped = player.targetX === hunter.x && player.targetY === hunter.y &&
+            hunter.targetX === player.x && hunter.targetY === player.y;
+        return sameTarget || swapped;
+    }
+
+    _isPrey() {
+        return this.behavior !== null && this.behavior.personality === 'prey';
+    }
+
+    /**
+     * Who caught whom when both share a cell
+     */
+    _catchOutcome() {
+        return this._isPrey() ? 'captured' : 'caught';
+    }
+
+    _pickHunterStart() {
+        const fromStart = this.maze.getDistances(this.maze.start);
+        const fromEnd = this.maze.getDistances(this.maze.end);
+
+        let best = this.maze.end;
+        let bestScore = -1;
+        for (const [key, distance] of fromStart) {
+            if (!fromEnd.has(key)) continue;
+            const score = distance + fromEnd.get(key);
+            if (score > bestScore) {
+                const [x, y] = key.split(',').map(Number);
+                best = { x, y };
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+}
+
+// Milliseconds between player steps on plain path
+ChaseMode.PLAYER_DELAY = 120;
+
+// KeyboardEvent.code -> [dx, dy]; codes keep WASD in place on any layout
+ChaseMode.KEYS = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    KeyW: [0, -1],
+    KeyS: [0, 1],
+    KeyA: [-1, 0],
+    KeyD: [1, 0]
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChaseMode;
+}
@@ -0,0 +1,214 @@
+/**
+ * Cooperative Planner
+ * Multi-agent pathfinding with cooperative A*: agents plan one after another
+ * in space-time, each avoiding the cells and moves reserved by the previous ones
+ *
+ * Time advances in ticks; every move or wait takes one tick regardless of terrain
+ */
+
+class CooperativePlanner {
+    constructor(maze) {
+        this.maze = maze;
+        this.expanded = 0;
+    }
+
+    /**
+     * Plan collision-free routes for agents [{ start, goal }]
+     * The array order is the initial priority
+     *
+     * Returns { paths, makespan, totalWaits, expanded, blocked }
+     * - paths[i][t]: cell of agent i at tick t (repeated cells are waits);
+     *   agents stay on their last cell once their path ends
+     * - blocked: agents that found no route and stay at their start
+     */
+    plan(agents) {
+        this.expanded = 0;
+        let order = agents.map((_, i) => i);
+        const stationary = new Set();
+        let attempt = 0;
+        let result;
+
+        while (true) {
+            result = this._planInOrder(agents, order, stationary);
+            if (result.blocked.length === 0) break;
+
+            if (attempt < agents.length) {
+                // Prioritized planning: blocked agents go first on the next attempt
+                order = [...result.blocked, ...order.filter(i => !result.blocked.includes(i))];
+                attempt++;
+            } else {
+                // Give up on them: they hold their start and everyone routes around
+                result.blocked.forEach(i => stationary.add(i));
+            }
+        }
+
+        const paths = result.paths;
+        let totalWaits = 0;
+        for (const path of paths) {
+            for (let t = 1; t < path.length; t++) {
+                if (path[t].x === path[t - 1].x && path[t].y === path[t - 1].y) totalWaits++;
+            }
+        }
+
+        return {
+            paths,
+            makespan: Math.max(0, ...paths.map(path => path.length - 1)),
+            totalWaits,
+            expanded: this.expanded,
+            blocked: [...stationary]
+        };
+    }
+
+    /**
+     * One round of prioritized planning
+     */
+    _planInOrder(agents, order, stationary) {
+        const reservations = this._createReservations();
+        const paths = new Array(agents.length);
+        const blocked = [];
+
+        // Stationary agents are obstacles from tick 0
+        for (const i of stationary) {
+            paths[i] = [{ x: agents[i].start.x, y: agents[i].start.y }];
+            this._reserve(reservations, paths[i]);
+        }
+
+        for (const i of order) {
+            if (stationary.has(i)) continue;
+
+            const path = this._search(agents[i].start, agents[i].goal, reservations);
+            if (path) {
+                paths[i] = path;
+                this._reserve(reservations, path);
+            } else {
+                paths[i] = [{ x: agents[i].start.x, y: agents[i].start.y }];
+                blocked.push(i);
+            }
+        }
+
+        return { paths, blocked };
+    }
+
+    // ==========================================
+    // RESERVATION TABLE
+    // ==========================================
+
+    _createReservations() {
+        return {
+            cells: new Set(),     // "x,y,t"
+            edges: new Set(),     // "fromX,fromY>toX,toY,t" (move arriving at t)
+            lastTick: new Map(),  // "x,y" -> last tick it is reserved
+            parked: new Map(),    // "x,y" -> tick an agent stops there for good
+            horizon: 0            // After this tick only parked agents remain
+        };
+    }
+
+    _reserve(reservations, path) {
+        path.forEach((cell, t) => {
+            const key = this._hash(cell);
+            reservations.cells.add(`${key},${t}`);
+            reservations.lastTick.set(key, Math.max(t, this._lastTick(reservations, key)));
+            if (t > 0) {
+                reservations.edges.add(`${this._hash(path[t - 1])}>${key},${t}`);
+            }
+        });
+
+        const last = path.length - 1;
+        reservations.parked.set(this._hash(path[last]), last);
+        reservations.horizon = Math.max(reservations.horizon, last);
+    }
+
+    _lastTick(reservations, key) {
+        return reservations.lastTick.has(key) ? reservations.lastTick.get(key) : -1;
+    }
+
+    /**
+     * Can an agent stand on a cell at tick t
+     */
+    _isFree(reservations, cell, t) {
+        const key = this._hash(cell);
+        if (reservations.cells.has(`${key},${t}`)) return false;
+        return !(reservations.parked.has(key) && reservations.parked.get(key) <= t);
+    }
+
+    /**
+     * Moving from -> to (arriving at t) must not swap places with another agent
+     */
+    _isSwap(reservations, from, to, t) {
+        return reservations.edges.has(`${this._hash(to)}>${this._hash(from)},${t}`);
+    }
+
+    // ==========================================
+    // SPACE-TIME A*
+    // ==========================================
+
+    /**
+     * A* over (cell, tick) states where waiting in place is also a move
+     * The heuristic is the exact distance to the goal ignoring other agents
+     */
+    _search(start, goal, reservations) {
+        const distances = this.maze.getDistances(goal);
+        const startKey = this._hash(start);
+        const goalKey = this._hash(goal);
+
+        if (!distances.has(startKey) || !this._isFree(reservations, start, 0)) return null;
+
+        // Past the horizon the world no longer changes, so the tick can be dropped
+        const stateKey = (key, t) => (t > reservations.horizon ? `${key},*` : `${key},${t}`);
+
+        const openSet = new MinHeap();
+        const closedSet = new Set();
+        const bestTick = new Map();
+
+        const root = { x: start.x, y: start.y, t: 0, parent: null };
+        openSet.push(stateKey(startKey, 0), root, distances.get(startKey));
+        bestTick.set(stateKey(startKey, 0), 0);
+
+        while (!openSet.isEmpty()) {
+            const { key, value: node } = openSet.pop();
+            closedSet.add(key);
+            this.expanded++;
+
+            // Only stop at the goal if nobody passes through it later
+            const nodeKey = this._hash(node);
+            if (nodeKey === goalKey && this._lastTick(reservations, goalKey) < node.t) {
+                return this._reconstructPath(node);
+            }
+
+            const t = node.t + 1;
+            const moves = [{ x: node.x, y: node.y }, ...this.maze.getNeighbors(node.x, node.y)];
+
+            for (const next of moves) {
+                const nextKey = this._hash(next);
+                const state = stateKey(nextKey, t);
+
+                if (closedSet.has(state)) continue;
+                if (bestTick.has(state) && bestTick.get(state) <= t) continue;
+                if (!this._isFree(reservations, next, t)) continue;
+                if (nextKey !== nodeKey && this._isSwap(reservations, node, next, t)) continue;
+
+                bestTick.set(state, t);
+                openSet.push(state, { x: next.x, y: next.y, t, parent: node }, t + distances.get(nextKey));
+            }
+        }
+
+        return null;
+    }
+
+    _reconstructPath(node) {
+        const path = [];
+        for (let current = node; current; current = current.parent) {
+            path.push({ x: current.x, y: current.y });
+        }
+        return path.reverse();
+    }
+
+    _hash(pos) {
+        return `${pos.x},${pos.y}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CooperativePlanner;
+}
@@ -0,0 +1,176 @@
+/**
+ * Maze Editor
+ * Canvas edit mode: drag to paint walls, drag start/end markers
+ * Works with mouse and touch through Pointer Events
+ */
+
+class MazeEditor {
+    constructor(canvas, renderer) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.maze = null;
+        this.enabled = false;
+
+        // Live editing while an NPC walks: walls only, markers stay put
+        this.paintOnly = false;
+        // Optional (cell) => bool for cells that must not be painted
+        this.isCellLocked = null;
+
+        // Drag state
+        this.dragMode = null; // null, paint, start, end
+        this.paintWall = true;
+        this.lastCell = null;
+        this.pointerId = null;
+
+        // Called after every grid change with the changed cells
+        this.onChange = null;
+
+        this._bindEvents();
+    }
+
+    /**
+     * Attach the maze being edited
+     */
+    setMaze(maze) {
+        this.maze = maze;
+        this._endDrag();
+    }
+
+    /**
+     * Turn edit mode on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.canvas.classList.toggle('editing', enabled);
+        if (!enabled) this._endDrag();
+    }
+
+    /**
+     * Bind pointer events on the canvas
+     */
+    _bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this._onPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => this._endDrag());
+        this.canvas.addEventListener('pointercancel', () => this._endDrag());
+    }
+
+    _onPointerDown(event) {
+        if (!this.enabled || !this.maze || this.dragMode) return;
+
+        const cell = this.renderer.cellFromEvent(event);
+        if (!cell) return;
+
+        event.preventDefault();
+        this.pointerId = event.pointerId;
+        this.canvas.setPointerCapture(event.pointerId);
+
+        const { start, end } = this.maze;
+        if (this.paintOnly && this._isMarker(cell)) {
+            this._endDrag();
+            return;
+        } else if (cell.x === start.x && cell.y === start.y) {
+            this.dragMode = 'start';
+        } else if (cell.x === end.x && cell.y === end.y) {
+            this.dragMode = 'end';
+        } else {
+            // First cell decides whether this stroke adds or removes walls
+            this.dragMode = 'paint';
+            this.paintWall = this.maze.isWalkable(cell.x, cell.y);
+            this._paint(cell);
+        }
+
+        this.lastCell = cell;
+    }
+
+    _onPointerMove(event) {
+        if (!this.dragMode || event.pointerId !== this.pointerId) return;
+
+        const cell = this.renderer.cellFromEvent(event);
+        if (!cell || (cell.x === this.lastCell.x && cell.y === this.lastCell.y)) return;
+
+        event.preventDefault();
+
+        if (this.dragMode === 'paint') {
+            // Fill the gap when the pointer skips cells on fast drags
+            for (const point of this._line(this.lastCell, cell)) {
+                this._paint(point);
+            }
+        } else {
+            this._moveMarker(cell);
+        }
+
+        this.lastCell = cell;
+    }
+
+    _endDrag() {
+        if (this.pointerId !== null && this.canvas.hasPointerCapture(this.pointerId)) {
+            this.canvas.releasePointerCapture(this.pointerId);
+        }
+        this.dragMode = null;
+        this.lastCell = null;
+        this.pointerId = null;
+    }
+
+    _paint(cell) {
+        if (this.isCellLocked && this.isCellLocked(cell)) return;
+
+        if (this.maze.setWall(cell.x, cell.y, this.paintWall)) {
+            this.renderer.redrawArea(cell.x, cell.y);
+            this._notify([cell]);
+        }
+    }
+
+    _isMarker(cell) {
+        const { start, end } = this.maze;
+        return (cell.x === start.x && cell.y === start.y) || (cell.x === end.x && cell.y === end.y);
+    }
+
+    _moveMarker(cell) {
+        const marker = this.dragMode === 'start' ? this.maze.start : this.maze.end;
+        const oldX = marker.x;
+        const oldY = marker.y;
+
+        const moved = this.dragMode === 'start'
+            ? this.maze.moveStart(cell.x, cell.y)
+            : this.maze.moveEnd(cell.x, cell.y);
+
+        if (moved) {
+            this.renderer.redrawArea(oldX, oldY);
+            this.renderer.redrawArea(cell.x, cell.y);
+            this._notify([{ x: oldX, y: oldY }, { x: cell.x, y: cell.y }]);
+        }
+    }
+
+    _notify(cells) {
+        if (this.onChange) this.onChange(cells);
+    }
+
+    /**
+     * Cells on the line between two cells (Bresenham), excluding the first
+     */
+    _line(from, to) {
+        const points = [];
+        let x = from.x;
+        let y = from.y;
+        const dx = Math.abs(to.x - x);
+        const dy = -Math.abs(to.y - y);
+        const sx = x < to.x ? 1 : -1;
+        const sy = y < to.y ? 1 : -1;
+        let err = dx + dy;
+
+        while (x !== to.x || y !== to.y) {
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+            points.push({ x, y });
+        }
+
+        return points;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeEditor;
+}
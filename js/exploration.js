@@ -0,0 +1,354 @@
+/**
+ * Exploration Agent
+ * Classic algorithms for walking an unknown maze: the NPC only asks whether
+ * the adjacent cells are open and whether it stands on the goal
+ *
+ * - Wall follower: keep one hand on the wall (left or right)
+ * - Trémaux: mark passages, never take one marked twice
+ * - Pledge: head in one direction, follow walls until the turns cancel out
+ * - Random mouse: random moves, avoiding turning back
+ */
+
+class ExplorationAgent {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.maze = null;
+        this.strategy = 'left-hand';
+        this.rng = null;
+
+        this.npc = null;
+        this.heading = 1;             // Index into ExplorationAgent.DIRECTIONS
+        this.previous = null;         // Cell the NPC came from
+        this.visits = new Map();      // "x,y" -> times entered
+        this.marks = new Map();       // Passage key -> Trémaux marks (1 or 2)
+        this.route = [];              // Walk with its loops erased
+        this.pledge = null;           // { preferred, following, turns }
+        this.maxSteps = 0;
+        this.outcome = null;          // null, reached, gaveUp
+
+        // Loop
+        this.isRunning = false;
+        this.animationFrameId = null;
+        this.lastTime = 0;
+        this.nextStep = 0;
+        this.stepDelay = 100;
+
+        this.stats = this._emptyStats();
+
+        // Called after every step with this.stats
+        this.onUpdate = null;
+        // Called with the outcome once the last step has been animated
+        this.onComplete = null;
+    }
+
+    start(maze, strategy) {
+        this.stop();
+
+        this.maze = maze;
+        this.strategy = strategy;
+        this.rng = new SeededRandom(`${maze.seed}-${strategy}`);
+        this.outcome = null;
+        this.stats = this._emptyStats();
+
+        const start = maze.start;
+        this.npc = new NPC(start.x, start.y);
+        this.npc.animationSpeed = 0.25;
+        this.previous = null;
+        this.visits = new Map([[this._hash(start), 1]]);
+        this.marks = new Map();
+        this.route = [{ x: start.x, y: start.y }];
+        this.heading = this._openDirections(start)[0] ?? 1;
+        this.pledge = { preferred: this._preferredDirection(), following: false, turns: 0 };
+
+        const openCells = maze.grid.flat().filter(cell => cell !== 0).length;
+        this.maxSteps = openCells * ExplorationAgent.STEP_LIMIT_FACTOR;
+
+        this.renderer.clear();
+        this.renderer.renderMaze();
+        this.renderer.setTrail(this.visits, this.marks);
+        this._notify();
+
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        this.nextStep = this.lastTime + this.stepDelay;
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    setSpeed(stepDelay) {
+        this.stepDelay = stepDelay;
+    }
+
+    _emptyStats() {
+        return { steps: 0, cost: 0, cellsVisited: 1, revisits: 0, routeLength: 1, routeCost: 0 };
+    }
+
+    _animate(currentTime) {
+        if (!this.isRunning) return;
+
+        const deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        const isAnimating = this.npc.update(deltaTime);
+        if (!this.outcome && !isAnimating && currentTime >= this.nextStep) {
+            this._step();
+            this.nextStep = currentTime + this.stepDelay;
+        }
+
+        this.renderer.redraw(this.npc);
+
+        if (this.outcome && !isAnimating) {
+            this.stop();
+            if (this.outcome === 'reached') {
+                this.renderer.setSolutionPath(this.route, this.route.length);
+                this.renderer.redraw(this.npc);
+            }
+            if (this.onComplete) this.onComplete(this.outcome);
+            return;
+        }
+
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    _step() {
+        const position = { x: this.npc.targetX, y: this.npc.targetY };
+        if (position.x === this.maze.end.x && position.y === this.maze.end.y) {
+            this.outcome = 'reached';
+            return;
+        }
+        if (this.stats.steps >= this.maxSteps) {
+            this.outcome = 'gaveUp';
+            return;
+        }
+
+        let direction;
+        switch (this.strategy) {
+            case 'left-hand':
+                direction = this._followWall(position, -1);
+                break;
+            case 'right-hand':
+                direction = this._followWall(position, 1);
+                break;
+            case 'tremaux':
+                direction = this._tremaux(position);
+                break;
+            case 'pledge':
+                direction = this._pledge(position);
+                break;
+            case 'random':
+                direction = this._randomMouse(position);
+                break;
+        }
+
+        if (direction === null) {
+            // Walled in on every side
+            this.outcome = 'gaveUp';
+            return;
+        }
+
+        this._move(position, direction);
+        this._notify();
+    }
+
+    _move(position, direction) {
+        const [dx, dy] = ExplorationAgent.DIRECTIONS[direction];
+        const next = { x: position.x + dx, y: position.y + dy };
+        const key = this._hash(next);
+
+        this.heading = direction;
+        this.previous = position;
+        this.npc.moveTo(next.x, next.y);
+
+        this.stats.steps++;
+        this.stats.cost += this.maze.getCost(next.x, next.y);
+        this.visits.set(key, (this.visits.get(key) || 0) + 1);
+
+        // Erase the loop the walk just closed, if any
+        const index = this.route.findIndex(cell => cell.x === next.x && cell.y === next.y);
+        if (index === -1) {
+            this.route.push(next);
+        } else {
+            this.route.length = index + 1;
+        }
+
+        this.stats.cellsVisited = this.visits.size;
+        this.stats.revisits = this.stats.steps + 1 - this.visits.size;
+        this.stats.routeLength = this.route.length;
+        this.stats.routeCost = this.route.slice(1).reduce((sum, cell) => sum + this.maze.getCost(cell.x, cell.y), 0);
+
+        this.renderer.setTrail(this.visits, this.marks);
+    }
+
+    // ==========================================
+    // STRATEGIES
+    // ==========================================
+
+    /**
+     * Wall follower: hand -1 keeps the left hand on the wall, 1 the right one
+     * Tries turning toward the hand, going straight, turning away, going back
+     */
+    _followWall(position, hand) {
+        for (const turn of [hand, 0, -hand, 2]) {
+            const direction = this._turn(this.heading, turn);
+            if (this._isOpen(position, direction)) return direction;
+        }
+        return null;
+    }
+
+    /**
+     * Trémaux: every passage taken gets a mark; passages with two marks are
+     * never taken again. Coming back to a known cell along a new passage,
+     * turn around; otherwise prefer unmarked passages, then once-marked ones
+     */
+    _tremaux(position) {
+        const open = this._openDirections(position);
+        if (open.length === 0) return null;
+
+        const back = this.previous ? this._directionTo(position, this.previous) : null;
+        const marks = (direction) => this.marks.get(this._passage(position, direction)) || 0;
+        const known = open.some(direction => direction !== back && marks(direction) > 0);
+
+        let direction;
+        if (back !== null && known && marks(back) < 2) {
+            direction = back;
+        } else {
+            const unmarked = open.filter(d => d !== back && marks(d) === 0);
+            const once = open.filter(d => marks(d) === 1);
+            if (unmarked.length > 0) direction = this.rng.pick(unmarked);
+            else if (once.length > 0) direction = once.includes(back) ? back : this.rng.pick(once);
+            else return null;
+        }
+
+        const passage = this._passage(position, direction);
+        this.marks.set(passage, Math.min(2, marks(direction) + 1));
+        return direction;
+    }
+
+    /**
+     * Pledge: walk in the preferred direction; on hitting a wall follow it
+     * with the left hand, counting turns (right +1, left -1), and let go
+     * when the count is back to zero
+     */
+    _pledge(position) {
+        const pledge = this.pledge;
+
+        if (pledge.following && pledge.turns === 0) pledge.following = false;
+
+        if (!pledge.following) {
+            if (this._isOpen(position, pledge.preferred)) return pledge.preferred;
+
+            // Turn right so the wall is on the left; left or back if that is blocked
+            pledge.following = true;
+            for (const turn of [1, -1, 2]) {
+                const direction = this._turn(pledge.preferred, turn);
+                if (this._isOpen(position, direction)) {
+                    pledge.turns = turn;
+                    return direction;
+                }
+            }
+            return null;
+        }
+
+        for (const turn of [-1, 0, 1, 2]) {
+            const direction = this._turn(this.heading, turn);
+            if (this._isOpen(position, direction)) {
+                pledge.turns += turn;
+                return direction;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Random mouse: random open neighbor, turning back only at dead ends
+     */
+    _randomMouse(position) {
+        const open = this._openDirections(position);
+        if (open.length === 0) return null;
+
+        const back = this.previous ? this._directionTo(position, this.previous) : null;
+        const forward = open.filter(direction => direction !== back);
+        return this.rng.pick(forward.length > 0 ? forward : open);
+    }
+
+    // ==========================================
+    // LOCAL QUERIES
+    // ==========================================
+
+    _isOpen(position, direction) {
+        const [dx, dy] = ExplorationAgent.DIRECTIONS[direction];
+        return this.maze.isWalkable(position.x + dx, position.y + dy);
+    }
+
+    _openDirections(position) {
+        return [0, 1, 2, 3].filter(direction => this._isOpen(position, direction));
+    }
+
+    /**
+     * Rotate a direction clockwise by turn quarter turns (negative: counterclockwise)
+     */
+    _turn(direction, turn) {
+        return (direction + turn + 4) % 4;
+    }
+
+    _directionTo(from, to) {
+        return ExplorationAgent.DIRECTIONS.findIndex(([dx, dy]) =>
+            from.x + dx === to.x && from.y + dy === to.y
+        );
+    }
+
+    /**
+     * Pledge needs a compass heading; aim for whichever axis is farther
+     * from the end (a real agent would only know a rough bearing)
+     */
+    _preferredDirection() {
+        const dx = this.maze.end.x - this.maze.start.x;
+        const dy = this.maze.end.y - this.maze.start.y;
+        if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? 1 : 3;
+        return dy >= 0 ? 2 : 0;
+    }
+
+    /**
+     * Same key for a passage whichever end it is seen from
+     */
+    _passage(position, direction) {
+        const [dx, dy] = ExplorationAgent.DIRECTIONS[direction];
+        const a = this._hash(position);
+        const b = this._hash({ x: position.x + dx, y: position.y + dy });
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    _hash(pos) {
+        return `${pos.x},${pos.y}`;
+    }
+
+    _notify() {
+        if (this.onUpdate) this.onUpdate(this.stats);
+    }
+}
+
+// Clockwise: north, east, south, west
+ExplorationAgent.DIRECTIONS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// Give up after this many steps per open cell
+ExplorationAgent.STEP_LIMIT_FACTOR = 20;
+
+ExplorationAgent.STRATEGIES = {
+    'left-hand': '✋ Mano izquierda',
+    'right-hand': '🤚 Mano derecha',
+    'tremaux': '🪨 Trémaux',
+    'pledge': '🧭 Pledge',
+    'random': '🐭 Ratón aleatorio'
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExplorationAgent;
+}
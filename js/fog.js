@@ -0,0 +1,246 @@
+/**
+ * Fog Explorer
+ * The NPC walks to maze.end knowing only what it has seen: it plans on a
+ * belief map where unseen cells are assumed open, senses the real maze with
+ * FieldOfView after every step and replans when the map proves it wrong
+ * The renderer shows the same knowledge in fog-of-war mode
+ */
+
+class FogExplorer {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.maze = null;
+        this.belief = null;      // Maze the NPC thinks it is in
+        this.pathfinder = null;  // Solves on the belief map
+        this.planner = null;     // D* Lite state when that solver is selected
+        this.algorithm = 'astar';
+        this.sightRadius = 6;
+
+        this.npc = null;
+        this.plan = [];
+        this.planIndex = 0;
+        this.known = new Set();
+        this.outcome = null; // null, reached, unreachable
+
+        // Loop
+        this.isRunning = false;
+        this.animationFrameId = null;
+        this.lastTime = 0;
+        this.nextStep = 0;
+        this.stepDelay = 120;
+
+        this.stats = this._emptyStats();
+
+        // Called after every step with this.stats
+        this.onUpdate = null;
+        // Called with the outcome once the last step has been animated
+        this.onComplete = null;
+    }
+
+    /**
+     * search: { heuristic, weight } for the informed solvers
+     */
+    start(maze, algorithm, sightRadius, search = {}) {
+        this.stop();
+
+        this.maze = maze;
+        this.algorithm = algorithm;
+        this.sightRadius = sightRadius;
+        this.belief = this._createBelief(maze);
+        this.pathfinder = new PathfindingAlgorithms(this.belief);
+        Object.assign(this.pathfinder, search);
+        this.planner = null;
+        this.known = new Set();
+        this.outcome = null;
+        this.stats = this._emptyStats();
+        this.stats.openCells = maze.grid.flat().filter(cell => cell !== 0).length;
+
+        this.npc = new NPC(maze.start.x, maze.start.y);
+        this.npc.animationSpeed = 0.25;
+
+        this.renderer.clear();
+        this.renderer.renderMaze();
+        this.renderer.setFog(true);
+
+        this._sense(maze.start);
+        this._setPlan(this._solve(maze.start));
+        this._notify();
+
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        this.nextStep = this.lastTime + this.stepDelay;
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    setSpeed(stepDelay) {
+        this.stepDelay = stepDelay;
+    }
+
+    _emptyStats() {
+        return { steps: 0, cost: 0, plans: 0, nodesVisited: 0, planningTime: 0, knownOpen: 0, openCells: 0 };
+    }
+
+    /**
+     * Copy of the maze where everything except the outer wall, the start
+     * and the end is unknown and assumed to be plain open path
+     */
+    _createBelief(maze) {
+        const belief = new Maze(maze.size, maze.algorithm, { seed: maze.seed });
+        const last = maze.size - 1;
+        belief.grid = maze.grid.map((row, y) => row.map((cell, x) =>
+            (x === 0 || y === 0 || x === last || y === last) ? 0 : 1
+        ));
+        belief.setMovement(maze.diagonal, maze.cornerRule);
+        belief.start = { ...maze.start };
+        belief.end = { ...maze.end };
+        belief.grid[maze.start.y][maze.start.x] = 2;
+        belief.grid[maze.end.y][maze.end.x] = 3;
+        return belief;
+    }
+
+    _animate(currentTime) {
+        if (!this.isRunning) return;
+
+        const deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        const isAnimating = this.npc.update(deltaTime);
+        if (!this.outcome && !isAnimating && currentTime >= this.nextStep) {
+            this._step();
+            this.nextStep = currentTime + this.stepDelay;
+        }
+
+        this.renderer.redraw(this.npc);
+
+        if (this.outcome && !isAnimating) {
+            this.stop();
+            if (this.onComplete) this.onComplete(this.outcome);
+            return;
+        }
+
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    /**
+     * Take the next planned step, look around and fix the plan if needed
+     */
+    _step() {
+        const position = { x: this.npc.targetX, y: this.npc.targetY };
+        if (position.x === this.maze.end.x && position.y === this.maze.end.y) {
+            this.outcome = 'reached';
+            return;
+        }
+
+        const next = this.plan[this.planIndex + 1];
+        if (!next) {
+            // Even the optimistic map has no way through
+            this.outcome = 'unreachable';
+            return;
+        }
+
+        this.planIndex++;
+        this.npc.moveTo(next.x, next.y);
+        this.stats.steps++;
+        this.stats.cost += this.maze.getMoveCost(position, next);
+
+        const changed = this._sense(next);
+        if (changed.length > 0) this._update(changed, next);
+        this._notify();
+    }
+
+    /**
+     * Reveal the field of view and copy what it shows into the belief map
+     * Returns the cells that turned out different than assumed
+     */
+    _sense(position) {
+        const visible = FieldOfView.compute(this.maze, position, this.sightRadius);
+        const changed = [];
+
+        for (const key of visible) {
+            const [x, y] = key.split(',').map(Number);
+            const cell = this.maze.getCell(x, y);
+
+            if (!this.known.has(key)) {
+                this.known.add(key);
+                if (cell !== 0) this.stats.knownOpen++;
+            }
+            if (this.belief.grid[y][x] !== cell) {
+                this.belief.grid[y][x] = cell;
+                changed.push({ x, y });
+            }
+        }
+
+        this.renderer.revealCells(visible);
+        return changed;
+    }
+
+    /**
+     * D* Lite repairs on every discovery; the other solvers replan from
+     * scratch only when a discovery touches the rest of the route
+     */
+    _update(changed, position) {
+        if (this.planner) {
+            this._setPlan(this._measure(() => this.pathfinder.repairPath(this.planner, changed, position)));
+            return;
+        }
+
+        const remaining = new Set(this.plan.slice(this.planIndex).map(cell => `${cell.x},${cell.y}`));
+        if (changed.some(cell => remaining.has(`${cell.x},${cell.y}`)) || !this._isPlanWalkable()) {
+            this._setPlan(this._solve(position));
+        }
+    }
+
+    /**
+     * A wall found beside the route can rule out one of its diagonal steps
+     */
+    _isPlanWalkable() {
+        for (let i = this.planIndex + 1; i < this.plan.length; i++) {
+            const from = this.plan[i - 1];
+            const to = this.plan[i];
+            if (!this.belief.getNeighbors(from.x, from.y).some(cell => cell.x === to.x && cell.y === to.y)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _solve(from) {
+        return this._measure(() => this.pathfinder.solve(this.algorithm, from, this.maze.end));
+    }
+
+    _measure(plan) {
+        const startTime = performance.now();
+        const result = plan();
+        this.stats.planningTime += performance.now() - startTime;
+        return result;
+    }
+
+    _setPlan(result) {
+        this.plan = result.path;
+        this.planIndex = 0;
+        if (result.planner) this.planner = result.planner;
+
+        this.stats.plans++;
+        this.stats.nodesVisited += result.visited.length;
+
+        // The plan runs through unknown cells on purpose: show it over the fog
+        this.renderer.setSolutionPath(this.plan, this.plan.length);
+    }
+
+    _notify() {
+        if (this.onUpdate) this.onUpdate(this.stats);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FogExplorer;
+}
@@ -0,0 +1,92 @@
+/**
+ * Field of View
+ * Recursive shadowcasting over Maze.grid: scans the 8 octants around the
+ * viewer row by row, narrowing the lit slope range whenever a wall casts
+ * a shadow. Walls block sight but are visible themselves
+ */
+
+class FieldOfView {
+    /**
+     * Cells visible from origin within radius (Euclidean)
+     * Returns a Set of "x,y" keys, origin included
+     */
+    static compute(maze, origin, radius) {
+        const visible = new Set([`${origin.x},${origin.y}`]);
+
+        for (const octant of FieldOfView.OCTANTS) {
+            FieldOfView._castLight(maze, origin, radius, 1, 1, 0, octant, visible);
+        }
+
+        return visible;
+    }
+
+    /**
+     * Light one octant from row outwards between startSlope and endSlope
+     * octant = [xx, xy, yx, yy] maps octant coordinates to grid offsets
+     */
+    static _castLight(maze, origin, radius, row, startSlope, endSlope, octant, visible) {
+        if (startSlope < endSlope) return;
+
+        const [xx, xy, yx, yy] = octant;
+        const radiusSquared = radius * radius;
+        let nextStart = startSlope;
+
+        for (let distance = row; distance <= radius; distance++) {
+            const dy = -distance;
+            let blocked = false;
+
+            for (let dx = -distance; dx <= 0; dx++) {
+                // Slopes through the cell's corners
+                const leftSlope = (dx - 0.5) / (dy + 0.5);
+                const rightSlope = (dx + 0.5) / (dy - 0.5);
+
+                if (startSlope < rightSlope) continue;
+                if (endSlope > leftSlope) break;
+
+                const x = origin.x + dx * xx + dy * xy;
+                const y = origin.y + dx * yx + dy * yy;
+                const inside = x >= 0 && y >= 0 && x < maze.size && y < maze.size;
+
+                if (inside && dx * dx + dy * dy <= radiusSquared) {
+                    visible.add(`${x},${y}`);
+                }
+
+                const opaque = !maze.isWalkable(x, y);
+                if (blocked) {
+                    if (opaque) {
+                        nextStart = rightSlope;
+                    } else {
+                        blocked = false;
+                        startSlope = nextStart;
+                    }
+                } else if (opaque && distance < radius) {
+                    // A wall starts a shadow: light what is left of it one row further
+                    blocked = true;
+                    FieldOfView._castLight(maze, origin, radius, distance + 1, startSlope, leftSlope, octant, visible);
+                    nextStart = rightSlope;
+                }
+            }
+
+            if (blocked) break;
+        }
+    }
+}
+
+/**
+ * Multipliers [xx, xy, yx, yy] for the 8 octants
+ */
+FieldOfView.OCTANTS = [
+    [1, 0, 0, 1],
+    [0, 1, 1, 0],
+    [0, -1, 1, 0],
+    [-1, 0, 0, 1],
+    [-1, 0, 0, -1],
+    [0, -1, -1, 0],
+    [0, 1, -1, 0],
+    [1, 0, 0, -1]
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldOfView;
+}
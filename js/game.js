@@ -8,27 +8,68 @@ class Game {
         // Canvas and renderer
         this.canvas = document.getElementById('mazeCanvas');
         this.renderer = new Renderer(this.canvas);
+        this.editor = new MazeEditor(this.canvas, this.renderer);
+        this.editor.onChange = (cells) => this._onMazeEdited(cells);
+        this.editor.isCellLocked = (cell) => this._isUnderNPC(cell);
+        this.race = new RaceMode(
+            document.getElementById('raceLanes'),
+            document.getElementById('raceTable')
+        );
+        this.race.onComplete = () => this._setRunningControls(false);
+        this.chase = new ChaseMode(this.renderer);
+        this.chase.onUpdate = (stats) => this._onChaseUpdate(stats);
+        this.chase.onComplete = (outcome) => this._onChaseComplete(outcome);
+        this.fog = new FogExplorer(this.renderer);
+        this.fog.onUpdate = (stats) => this._onFogUpdate(stats);
+        this.fog.onComplete = (outcome) => this._onFogComplete(outcome);
+        this.explorer = new ExplorationAgent(this.renderer);
+        this.explorer.onUpdate = (stats) => this._onExplorerUpdate(stats);
+        this.explorer.onComplete = (outcome) => this._onExplorerComplete(outcome);
+        this.learning = new LearningMode(this.renderer, document.getElementById('learningCurve'));
+        this.learning.onUpdate = (stats) => this._onLearningUpdate(stats);
+        this.learning.onComplete = (outcome) => this._onLearningComplete(outcome);
 
         // Game objects
         this.maze = null;
         this.npc = null;
         this.pathfinder = null;
+        this.incrementalPlanner = null; // D* Lite state kept for repairs
+        this.routeBlocked = false;      // Live walls cut every route; wait for the next edit
+        this.agents = [];      // Multi-agent run: [{ start, goal, path, npc }]
 
         // State
         this.isRunning = false;
         this.isPaused = false;
+        this.isEditing = false;
+        this.isRacing = false;
         this.currentAlgorithm = 'bfs';
         this.mazeAlgorithm = 'backtracking';
+        this.growingTreeStrategy = 'newest';
+        this.mazeTopology = 'square';
+        this.floorCount = 1;
+        this.mazeSeed = '';
         this.animationSpeed = 50;
         this.mazeSize = 21;
+        this.terrainDensity = 0;
+        this.braidAmount = 0;
+        this.loopAmount = 0;
+        this.agentCount = 3;
+        this.chasePersonality = 'direct';
+        this.sightRadius = 6;
+        this.explorerStrategy = 'left-hand';
+        this.diagonal = false;
+        this.cornerRule = 'never';
+        this.heuristic = 'manhattan';
+        this.heuristicWeight = 1;
 
         // Animation
         this.animationFrameId = null;
         this.lastTime = 0;
         this.visitedQueue = [];
+        this.trace = [];
         this.visitedIndex = 0;
         this.solutionPath = [];
-        this.phase = 'idle'; // idle, exploring, solving, following
+        this.phase = 'idle'; // idle, exploring, solving, following, team
 
         // Timing
         this.explorationDelay = 50;
@@ -40,11 +81,18 @@ class Game {
         this.metrics = {
             nodesVisited: 0,
             pathLength: 0,
+            pathCost: 0,
+            makespan: 0,
+            totalWaits: 0,
+            reexpanded: 0,
+            explorationSteps: 0,
+            revisits: 0,
             startTime: 0,
             endTime: 0
         };
 
         // Initialize
+        this._buildRaceOptions();
         this._bindEvents();
         this._updateSpeedFromSlider();
     }
@@ -62,11 +110,80 @@ class Game {
             });
         });
 
-        // Maze algorithm selector
+        // Movement and heuristic
+        const diagonalToggle = document.getElementById('diagonalMove');
+        const cornerSelect = document.getElementById('cornerRule');
+        const heuristicSelect = document.getElementById('heuristic');
+        diagonalToggle.addEventListener('change', () => {
+            this.diagonal = diagonalToggle.checked;
+            cornerSelect.disabled = !this.diagonal;
+
+            // Keep the heuristic admissible for the new movement when it was the default one
+            if (this.diagonal && this.heuristic === 'manhattan') this.heuristic = 'octile';
+            if (!this.diagonal && this.heuristic === 'octile') this.heuristic = 'manhattan';
+            heuristicSelect.value = this.heuristic;
+
+            this._applyMovement();
+        });
+
+        cornerSelect.addEventListener('change', () => {
+            this.cornerRule = cornerSelect.value;
+            this._applyMovement();
+        });
+
+        heuristicSelect.addEventListener('change', () => {
+            this.heuristic = heuristicSelect.value;
+            this._applyMovement();
+        });
+
+        const weightSlider = document.getElementById('heuristicWeight');
+        const weightValue = document.getElementById('heuristicWeightValue');
+        weightSlider.addEventListener('input', () => {
+            this.heuristicWeight = parseFloat(weightSlider.value);
+            weightValue.textContent = this.heuristicWeight.toFixed(1);
+            this._applyMovement();
+        });
+
+        // Maze algorithm selector; the strategy only applies to Growing Tree
         const mazeAlgoSelect = document.getElementById('mazeAlgo');
+        const growingTreeSelect = document.getElementById('growingTreeStrategy');
+        const updateStrategySelect = () => {
+            growingTreeSelect.disabled = this.mazeAlgorithm !== 'growingtree';
+        };
         if (mazeAlgoSelect) {
             mazeAlgoSelect.addEventListener('change', () => {
                 this.mazeAlgorithm = mazeAlgoSelect.value;
+                updateStrategySelect();
+            });
+        }
+        growingTreeSelect.addEventListener('change', () => {
+            this.growingTreeStrategy = growingTreeSelect.value;
+        });
+
+        // Grid topology: row-based generators and Recursive Division only
+        // work on the square grid
+        const topologySelect = document.getElementById('mazeTopology');
+        const floorSlider = document.getElementById('floorCount');
+        topologySelect.addEventListener('change', () => {
+            this.mazeTopology = topologySelect.value;
+            const isSquare = this.mazeTopology === 'square';
+            floorSlider.disabled = !isSquare;
+
+            mazeAlgoSelect.querySelectorAll('option').forEach(option => {
+                option.disabled = !isSquare && !Maze.GRAPH_ALGORITHMS.includes(option.value);
+            });
+            if (!isSquare && !Maze.GRAPH_ALGORITHMS.includes(this.mazeAlgorithm)) {
+                this.mazeAlgorithm = 'backtracking';
+                mazeAlgoSelect.value = this.mazeAlgorithm;
+                updateStrategySelect();
+            }
+        });
+
+        // Maze seed (empty = random)
+        const seedInput = document.getElementById('mazeSeed');
+        if (seedInput) {
+            seedInput.addEventListener('input', () => {
+                this.mazeSeed = seedInput.value.trim();
             });
         }
 
@@ -80,6 +197,49 @@ class Game {
             sizeValue.textContent = `${size} × ${size}`;
         });
 
+        // Floors (square mazes only) and which of them the canvas shows
+        const floorValue = document.getElementById('floorCountValue');
+        floorSlider.addEventListener('input', () => {
+            this.floorCount = parseInt(floorSlider.value);
+            floorValue.textContent = `${this.floorCount}`;
+        });
+
+        const floorViewSelect = document.getElementById('floorView');
+        floorViewSelect.addEventListener('change', () => {
+            this.renderer.setFloor(floorViewSelect.value === 'all' ? null : parseInt(floorViewSelect.value));
+            this.renderer.redraw(this._getNPCs());
+        });
+
+        // Terrain density slider
+        const terrainSlider = document.getElementById('terrainDensity');
+        const terrainValue = document.getElementById('terrainValue');
+        terrainSlider.addEventListener('input', () => {
+            this.terrainDensity = parseInt(terrainSlider.value) / 100;
+            terrainValue.textContent = `${terrainSlider.value}%`;
+        });
+
+        // Braid and loop sliders
+        const braidSlider = document.getElementById('braidAmount');
+        const braidValue = document.getElementById('braidValue');
+        braidSlider.addEventListener('input', () => {
+            this.braidAmount = parseInt(braidSlider.value) / 100;
+            braidValue.textContent = `${braidSlider.value}%`;
+        });
+
+        const loopSlider = document.getElementById('loopAmount');
+        const loopValue = document.getElementById('loopValue');
+        loopSlider.addEventListener('input', () => {
+            this.loopAmount = parseInt(loopSlider.value) / 100;
+            loopValue.textContent = `${loopSlider.value}%`;
+        });
+
+        // g/h/f overlay toggle
+        const scoresToggle = document.getElementById('showScores');
+        scoresToggle.addEventListener('change', () => {
+            this.renderer.showScores = scoresToggle.checked;
+            if (this.maze) this.renderer.redraw(this.isEditing ? null : this._getNPCs());
+        });
+
         // Speed slider
         const speedSlider = document.getElementById('speed');
         speedSlider.addEventListener('input', () => {
@@ -99,11 +259,111 @@ class Game {
             this.stop();
         });
 
+        document.getElementById('editBtn').addEventListener('click', () => {
+            this.toggleEditMode();
+        });
+
+        // Multi-agent
+        const agentSlider = document.getElementById('agentCount');
+        const agentValue = document.getElementById('agentCountValue');
+        agentSlider.addEventListener('input', () => {
+            this.agentCount = parseInt(agentSlider.value);
+            agentValue.textContent = agentSlider.value;
+        });
+
+        document.getElementById('teamBtn').addEventListener('click', () => {
+            this.solveTeam();
+        });
+
+        // Chase mode
+        const personalitySelect = document.getElementById('chasePersonality');
+        personalitySelect.addEventListener('change', () => {
+            this.chasePersonality = personalitySelect.value;
+        });
+
+        document.getElementById('chaseBtn').addEventListener('click', () => {
+            this.startChase();
+        });
+
+        // Fog of war
+        const sightSlider = document.getElementById('sightRadius');
+        const sightValue = document.getElementById('sightRadiusValue');
+        sightSlider.addEventListener('input', () => {
+            this.sightRadius = parseInt(sightSlider.value);
+            sightValue.textContent = sightSlider.value;
+        });
+
+        document.getElementById('fogBtn').addEventListener('click', () => {
+            this.startFogRun();
+        });
+
+        // Local exploration
+        const strategySelect = document.getElementById('explorerStrategy');
+        strategySelect.addEventListener('change', () => {
+            this.explorerStrategy = strategySelect.value;
+        });
+
+        document.getElementById('exploreBtn').addEventListener('click', () => {
+            this.startExploration();
+        });
+
+        // Reinforcement learning
+        document.getElementById('learnBtn').addEventListener('click', () => {
+            this.startLearning();
+        });
+
+        // Race mode
+        document.getElementById('raceBtn').addEventListener('click', () => {
+            this.startRace();
+        });
+
+        document.getElementById('exitRaceBtn').addEventListener('click', () => {
+            this.exitRace();
+        });
+
+        // Step debugger
+        document.getElementById('pauseBtn').addEventListener('click', () => {
+            this.togglePause();
+        });
+
+        document.getElementById('stepBackBtn').addEventListener('click', () => {
+            this.stepBackward();
+        });
+
+        document.getElementById('stepForwardBtn').addEventListener('click', () => {
+            this.stepForward();
+        });
+
+        document.getElementById('timeline').addEventListener('input', (e) => {
+            this.seekTo(parseInt(e.target.value));
+        });
+
+        // Import / export
+        document.getElementById('exportJsonBtn').addEventListener('click', () => {
+            this.exportMaze('json');
+        });
+
+        document.getElementById('exportAsciiBtn').addEventListener('click', () => {
+            this.exportMaze('ascii');
+        });
+
+        const importInput = document.getElementById('importFile');
+        document.getElementById('importBtn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.importMaze(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+
         // Window resize
         window.addEventListener('resize', () => {
             if (this.maze) {
                 this.renderer.init(this.maze);
                 this.renderer.renderMaze();
+                if (!this.isEditing) this._getNPCs().forEach(npc => this.renderer.drawNPC(npc));
             }
         });
     }
@@ -124,6 +384,31 @@ class Game {
         if (this.npc) {
             this.npc.setSpeed(speed);
         }
+        this.agents.forEach(agent => agent.npc.setSpeed(speed));
+
+        this.race.setSpeed(this.explorationDelay);
+        this.chase.setSpeed(speed);
+        this.fog.setSpeed(this.moveDelay);
+        this.explorer.setSpeed(this.moveDelay);
+        this.learning.setSpeed(this.moveDelay);
+    }
+
+    /**
+     * Push the movement and heuristic settings to the maze and pathfinder
+     */
+    _applyMovement() {
+        if (!this.maze) return;
+
+        this.maze.setMovement(this.diagonal, this.cornerRule);
+        this.pathfinder.heuristic = this.heuristic;
+        this.pathfinder.weight = this.heuristicWeight;
+    }
+
+    /**
+     * Heuristic settings for solvers that build their own pathfinder
+     */
+    _searchOptions() {
+        return { heuristic: this.heuristic, weight: this.heuristicWeight };
     }
 
     /**
@@ -131,31 +416,119 @@ class Game {
      */
     generateMaze() {
         this.stop();
+        this._setEditing(false);
+        this.exitRace();
 
-        // Create new maze with selected algorithm
-        this.maze = new Maze(this.mazeSize, this.mazeAlgorithm);
+        // Create new maze with selected algorithm and seed
+        this.maze = new Maze(this.mazeSize, this.mazeAlgorithm, {
+            seed: this.mazeSeed,
+            terrain: this.terrainDensity,
+            braid: this.braidAmount,
+            loops: this.loopAmount,
+            topology: this.mazeTopology,
+            floors: this.floorCount,
+            growingTree: this.growingTreeStrategy
+        });
         this.maze.generate();
 
+        this._loadMaze(this.maze);
+    }
+
+    /**
+     * Set up renderer, NPC, pathfinder and editor for a maze
+     * (freshly generated or imported)
+     */
+    _loadMaze(maze) {
+        this.maze = maze;
+        this.agents = [];
+        document.getElementById('teamMessage').textContent = '';
+        document.getElementById('chaseStatus').textContent = '';
+        document.getElementById('fogStatus').textContent = '';
+        document.getElementById('exploreStatus').textContent = '';
+        document.getElementById('learnStatus').textContent = '';
+        document.getElementById('solveStatus').textContent = '';
+
+        // Show the seed so the same maze can be recreated
+        document.getElementById('seedValue').textContent =
+            this.maze.seed !== null ? `🎲 ${this.maze.seed}` : '—';
+
         // Initialize renderer
         this.renderer.init(this.maze);
         this.renderer.renderMaze();
+        this._buildFloorOptions();
 
         // Create NPC at start
         this.npc = new NPC(this.maze.start.x, this.maze.start.y);
+        this._placeOnMaze(this.npc);
         this.npc.setSpeed(this.animationSpeed);
         this.renderer.drawNPC(this.npc);
 
         // Create pathfinder
         this.pathfinder = new PathfindingAlgorithms(this.maze);
+        this._applyMovement();
+
+        // Editor works on the same maze instance the pathfinder solves
+        this.editor.setMaze(this.maze);
 
         // Hide overlay
         document.getElementById('overlay').classList.add('hidden');
 
-        // Enable solve button
-        document.getElementById('solveBtn').disabled = false;
+        // Enable buttons that need a maze; the modes built on a single
+        // square grid stay off for topology and multi-level mazes
+        this._setRunningControls(false);
+        document.getElementById('editBtn').disabled = false;
+        document.getElementById('exportJsonBtn').disabled = !this._isPlainGrid();
+        document.getElementById('exportAsciiBtn').disabled = !this._isPlainGrid();
 
         // Reset metrics
+        this._clearTrace();
         this._resetMetrics();
+        this._updateAnalysis();
+    }
+
+    /**
+     * Tell an NPC how the loaded maze measures its steps
+     */
+    _placeOnMaze(npc) {
+        npc.topology = this.maze.topology;
+        npc.floorSize = this.maze.floors > 1 ? this.maze.size : null;
+    }
+
+    // ==========================================
+    // FLOORS
+    // ==========================================
+
+    /**
+     * Fill the floor view selector for the loaded maze
+     */
+    _buildFloorOptions() {
+        const select = document.getElementById('floorView');
+        const floors = this.maze.floors;
+
+        select.innerHTML = '';
+        const views = [['all', 'Todos los pisos'], ...Array.from({ length: floors }, (_, floor) => [floor, `Piso ${floor + 1}`])];
+        for (const [value, label] of views) {
+            const option = document.createElement('option');
+            option.value = `${value}`;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+
+        select.value = this.renderer.floor === null ? 'all' : `${this.renderer.floor}`;
+        select.disabled = floors === 1;
+    }
+
+    /**
+     * A single-floor view follows the NPC up and down the stairs
+     */
+    _followFloor(npc) {
+        if (this.renderer.floor === null) return;
+
+        const floor = this.maze.getFloor(Math.round(npc.displayX));
+        if (floor === this.renderer.floor) return;
+
+        this.renderer.setFloor(floor);
+        document.getElementById('floorView').value = `${floor}`;
     }
 
     /**
@@ -164,12 +537,18 @@ class Game {
     solve() {
         if (!this.maze || this.isRunning) return;
 
+        // Leave edit mode before solving the edited grid
+        this._setEditing(false);
+        this.exitRace();
+
         // Reset visualization
         this.renderer.clear();
         this.renderer.renderMaze();
 
         // Reset NPC
+        this.agents = [];
         this.npc.reset(this.maze.start.x, this.maze.start.y);
+        this._resetMetrics();
 
         // Run algorithm
         this.metrics.startTime = performance.now();
@@ -182,12 +561,17 @@ class Game {
 
         // Store results for animation
         this.visitedQueue = result.visited;
+        this.trace = result.trace;
         this.solutionPath = result.path;
         this.visitedIndex = 0;
+        this.incrementalPlanner = result.planner || null;
+        this.routeBlocked = false;
+        document.getElementById('solveStatus').textContent = '';
 
         // Update metrics
         this.metrics.nodesVisited = result.visited.length;
         this.metrics.pathLength = result.path.length;
+        this.metrics.pathCost = this.pathfinder.getPathCost(result.path);
 
         // Setup solution path for NPC
         this.npc.setPath(this.solutionPath);
@@ -195,24 +579,743 @@ class Game {
 
         // Start animation
         this.isRunning = true;
+        this.isPaused = false;
         this.phase = 'exploring';
         this.lastStepTime = 0;
 
         // Update UI
-        document.getElementById('generateBtn').disabled = true;
-        document.getElementById('solveBtn').disabled = true;
-        document.getElementById('stopBtn').disabled = false;
-        document.querySelector('.metrics-card').classList.add('solving');
+        this._setRunningControls(true);
 
         // Start animation loop
         this._animate(0);
     }
 
+    // ==========================================
+    // MULTI-AGENT
+    // ==========================================
+
+    /**
+     * Plan and animate several NPCs at once with cooperative A*
+     */
+    solveTeam() {
+        if (!this.maze || this.isRunning) return;
+
+        this._setEditing(false);
+        this.exitRace();
+        this._clearTrace();
+        this._resetMetrics();
+
+        this.renderer.clear();
+        this.renderer.renderMaze();
+
+        const agents = this._spawnAgents(this.agentCount);
+
+        this.metrics.startTime = performance.now();
+        const plan = new CooperativePlanner(this.maze).plan(agents);
+        this.metrics.endTime = performance.now();
+
+        this.agents = agents.map((agent, i) => {
+            const npc = new NPC(agent.start.x, agent.start.y);
+            this._placeOnMaze(npc);
+            npc.setColors(NPC.COLORS[i % NPC.COLORS.length]);
+            npc.setSpeed(this.animationSpeed);
+            npc.setPath(plan.paths[i]);
+            return { ...agent, path: plan.paths[i], npc };
+        });
+
+        this.renderer.setAgentRoutes(this.agents.map(agent => ({
+            path: agent.path,
+            goal: agent.goal,
+            color: agent.npc.color
+        })));
+
+        // Path metrics add up every agent; waits don't count as moves
+        const moves = plan.paths.map(path => path.filter((cell, t) =>
+            t === 0 || cell.x !== path[t - 1].x || cell.y !== path[t - 1].y
+        ));
+        this.metrics.nodesVisited = plan.expanded;
+        this.metrics.pathLength = moves.reduce((sum, path) => sum + path.length, 0);
+        this.metrics.pathCost = moves.reduce((sum, path) => sum + this.pathfinder.getPathCost(path), 0);
+        this.metrics.makespan = plan.makespan;
+        this.metrics.totalWaits = plan.totalWaits;
+
+        document.getElementById('teamMessage').textContent = plan.blocked.length > 0
+            ? `${plan.blocked.length} de ${agents.length} agentes sin ruta libre (se quedan quietos)`
+            : `${agents.length} agentes sin colisiones`;
+
+        this.isRunning = true;
+        this.isPaused = false;
+        this.phase = 'team';
+        this.lastStepTime = 0;
+        this._setRunningControls(true);
+        this._animate(0);
+    }
+
+    /**
+     * Agent 0 goes from start to end; the rest get distinct random
+     * start and goal cells, reproducible from the maze seed
+     */
+    _spawnAgents(count) {
+        const { start, end } = this.maze;
+        const rng = new SeededRandom(`${this.maze.seed}-agents`);
+
+        const free = [];
+        const { grid } = this.maze;
+        for (let y = 0; y < grid.length; y++) {
+            for (let x = 0; x < grid[y].length; x++) {
+                const cell = this.maze.getCell(x, y);
+                if (this.maze.isWalkable(x, y) && cell !== 2 && cell !== 3) {
+                    free.push({ x, y });
+                }
+            }
+        }
+
+        const take = () => free.splice(rng.nextInt(free.length), 1)[0];
+        const agents = [{ start, goal: end }];
+        while (agents.length < count && free.length >= 2) {
+            agents.push({ start: take(), goal: take() });
+        }
+
+        return agents;
+    }
+
+    /**
+     * NPCs currently on the board
+     */
+    _getNPCs() {
+        return this.agents.length > 0 ? this.agents.map(agent => agent.npc) : [this.npc];
+    }
+
+    /**
+     * Advance all agents together: a new tick starts once every NPC
+     * has finished moving (or waiting) on the current one
+     */
+    _animateTeam(deltaTime) {
+        let isAnimating = false;
+        for (const agent of this.agents) {
+            if (agent.npc.update(deltaTime)) isAnimating = true;
+        }
+
+        this.renderer.redraw(this._getNPCs());
+
+        if (!isAnimating) {
+            let moved = false;
+            for (const agent of this.agents) {
+                if (agent.npc.moveToNext()) moved = true;
+            }
+            if (!moved) this.phase = 'complete';
+        }
+    }
+
+    // ==========================================
+    // CHASE MODE
+    // ==========================================
+
+    /**
+     * Play against the NPC: it replans with the selected algorithm every step
+     */
+    startChase() {
+        if (!this.maze || this.isRunning) return;
+
+        this.stop();
+        this._setEditing(false);
+        this.exitRace();
+        this.agents = [];
+        this._clearTrace();
+        this._resetMetrics();
+
+        this.chase.start(this.maze, this.pathfinder, this.currentAlgorithm, this.chasePersonality);
+        document.getElementById('chaseStatus').textContent = this.chasePersonality === 'prey'
+            ? 'Atrapa al NPC con las flechas o WASD'
+            : 'Huye hacia la meta con las flechas o WASD';
+        this._setRunningControls(true);
+
+        // Keep arrow keys away from whichever control was clicked last
+        document.activeElement.blur();
+    }
+
+    _onChaseUpdate(stats) {
+        this.metrics.nodesVisited = stats.nodesVisited;
+        this.metrics.pathLength = stats.hunterSteps;
+        this.metrics.pathCost = stats.hunterCost;
+        this.metrics.startTime = 0;
+        this.metrics.endTime = stats.planningTime;
+        this._updateMetricsDisplay();
+    }
+
+    _onChaseComplete(outcome) {
+        const { replans, playerSteps } = this.chase.stats;
+        const messages = {
+            caught: `¡Atrapado! El NPC replanificó ${replans} veces`,
+            escaped: `¡Escapaste en ${playerSteps} pasos!`,
+            captured: `¡Atrapaste al NPC en ${playerSteps} pasos!`
+        };
+        document.getElementById('chaseStatus').textContent = messages[outcome];
+        this._setRunningControls(false);
+    }
+
+    // ==========================================
+    // FOG OF WAR
+    // ==========================================
+
+    /**
+     * Walk to the end seeing only sightRadius cells around the NPC,
+     * planning with the selected algorithm on what it has discovered
+     */
+    startFogRun() {
+        if (!this.maze || this.isRunning) return;
+
+        this.stop();
+        this._setEditing(false);
+        this.exitRace();
+        this.agents = [];
+        this._clearTrace();
+        this._resetMetrics();
+
+        this.fog.setSpeed(this.moveDelay);
+        this.fog.start(this.maze, this.currentAlgorithm, this.sightRadius, this._searchOptions());
+        document.getElementById('fogStatus').textContent = 'Explorando...';
+        this._setRunningControls(true);
+    }
+
+    _onFogUpdate(stats) {
+        this.metrics.nodesVisited = stats.nodesVisited;
+        this.metrics.pathLength = stats.steps;
+        this.metrics.pathCost = stats.cost;
+        this.metrics.startTime = 0;
+        this.metrics.endTime = stats.planningTime;
+        this._updateMetricsDisplay();
+
+        const known = Math.round(stats.knownOpen / stats.openCells * 100);
+        document.getElementById('fogStatus').textContent =
+            `Explorando... ${stats.plans} planes, ${known}% del laberinto visto`;
+    }
+
+    _onFogComplete(outcome) {
+        const { cost, plans } = this.fog.stats;
+        if (outcome === 'reached') {
+            // Compare with the omniscient route
+            const optimal = this.pathfinder.getPathCost(this.pathfinder.dijkstra(this.maze.start, this.maze.end).path);
+            document.getElementById('fogStatus').textContent =
+                `¡Meta alcanzada! Coste ${PathfindingAlgorithms.formatCost(cost)} (óptimo con mapa: ${PathfindingAlgorithms.formatCost(optimal)}) en ${plans} planes`;
+        } else {
+            document.getElementById('fogStatus').textContent = 'No hay camino hacia la meta';
+        }
+        this._setRunningControls(false);
+    }
+
+    // ==========================================
+    // LOCAL EXPLORATION
+    // ==========================================
+
+    /**
+     * Walk to the end with a wall follower, Trémaux, Pledge or a random
+     * mouse: no solver, only the cells next to the NPC
+     */
+    startExploration() {
+        if (!this.maze || this.isRunning) return;
+
+        this.stop();
+        this._setEditing(false);
+        this.exitRace();
+        this.agents = [];
+        this._clearTrace();
+        this._resetMetrics();
+
+        this.explorer.setSpeed(this.moveDelay);
+        this.explorer.start(this.maze, this.explorerStrategy);
+        document.getElementById('exploreStatus').textContent =
+            `${ExplorationAgent.STRATEGIES[this.explorerStrategy]} explorando...`;
+        this._setRunningControls(true);
+    }
+
+    _onExplorerUpdate(stats) {
+        this.metrics.nodesVisited = stats.cellsVisited;
+        this.metrics.pathLength = stats.routeLength;
+        this.metrics.pathCost = stats.routeCost;
+        this.metrics.explorationSteps = stats.steps;
+        this.metrics.revisits = stats.revisits;
+        this._updateMetricsDisplay();
+    }
+
+    _onExplorerComplete(outcome) {
+        const { steps } = this.explorer.stats;
+        const status = document.getElementById('exploreStatus');
+        if (outcome === 'reached') {
+            // Contrast with the omniscient solvers, measured 4-connected
+            // like the agents walk whatever the diagonal toggle says
+            const { start, end, diagonal } = this.maze;
+            this.maze.setMovement(false);
+            const shortest = this.maze.getDistances(start).get(`${end.x},${end.y}`);
+            this.maze.setMovement(diagonal);
+            status.textContent = `¡Meta alcanzada en ${steps} pasos! (BFS con mapa: ${shortest})`;
+        } else {
+            status.textContent = `Sin éxito tras ${steps} pasos`;
+        }
+        this._setRunningControls(false);
+    }
+
+    // ==========================================
+    // REINFORCEMENT LEARNING
+    // ==========================================
+
+    /**
+     * Train a Q-learning or SARSA agent headlessly, then animate its policy
+     */
+    startLearning() {
+        if (!this.maze || this.isRunning) return;
+
+        this.stop();
+        this._setEditing(false);
+        this.exitRace();
+        this.agents = [];
+        this._clearTrace();
+        this._resetMetrics();
+
+        const episodes = Math.min(LearningMode.MAX_EPISODES, Math.max(1, this._readNumber('rlEpisodes', 500)));
+        this.learning.setSpeed(this.moveDelay);
+        this.learning.start(this.maze, this._readLearningOptions(), episodes);
+        this._setRunningControls(true);
+    }
+
+    /**
+     * QLearner options from the card inputs; empty fields use the defaults
+     */
+    _readLearningOptions() {
+        const defaults = QLearner.DEFAULTS;
+        return {
+            method: document.getElementById('rlMethod').value || defaults.method,
+            alpha: this._readNumber('rlAlpha', defaults.alpha),
+            gamma: this._readNumber('rlGamma', defaults.gamma),
+            epsilon: this._readNumber('rlEpsilon', defaults.epsilon),
+            epsilonMin: this._readNumber('rlEpsilonMin', defaults.epsilonMin),
+            epsilonDecay: this._readNumber('rlEpsilonDecay', defaults.epsilonDecay),
+            rewards: {
+                goal: this._readNumber('rlGoalReward', defaults.rewards.goal),
+                step: this._readNumber('rlStepReward', defaults.rewards.step)
+            }
+        };
+    }
+
+    _readNumber(id, fallback) {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? value : fallback;
+    }
+
+    _onLearningUpdate(stats) {
+        this.metrics.nodesVisited = stats.statesVisited;
+        this.metrics.pathLength = stats.policyLength;
+        this.metrics.pathCost = stats.policyCost;
+        this.metrics.explorationSteps = stats.totalSteps;
+        this._updateMetricsDisplay();
+
+        if (stats.phase === 'training') {
+            document.getElementById('learnStatus').textContent =
+                `Episodio ${stats.episode}/${stats.episodes} · ε ${stats.epsilon.toFixed(2)} · ${stats.lastSteps} pasos`;
+        } else if (stats.phase === 'following') {
+            document.getElementById('learnStatus').textContent =
+                `Siguiendo la política: paso ${stats.stepsWalked}/${stats.policyLength - 1}`;
+        }
+    }
+
+    _onLearningComplete(outcome) {
+        const { policyLength, successes, episodes } = this.learning.getStats();
+        document.getElementById('learnStatus').textContent = outcome === 'learned'
+            ? `¡Política aprendida! ${policyLength - 1} pasos (óptimo: ${this.learning.optimalSteps}), meta en ${successes}/${episodes} episodios`
+            : `La política no llega a la meta (${successes}/${episodes} episodios la alcanzaron): prueba con más episodios`;
+        this._setRunningControls(false);
+    }
+
+    /**
+     * Download the current maze as JSON or ASCII
+     */
+    exportMaze(format) {
+        if (!this.maze) return;
+
+        const isJson = format === 'json';
+        const content = isJson ? MazeSerializer.toJSON(this.maze) : MazeSerializer.toASCII(this.maze);
+        const seedSuffix = this.maze.seed !== null ? `-${this.maze.seed}` : '';
+        const filename = `maze-${this.maze.algorithm}-${this.maze.size}${seedSuffix}.${isJson ? 'json' : 'txt'}`;
+
+        const blob = new Blob([content], { type: isJson ? 'application/json' : 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        // Some browsers start the download asynchronously: revoke on the next task
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this._showFileMessage(`Exportado ${filename}`, false);
+    }
+
+    /**
+     * Load a maze from a JSON or ASCII file
+     */
+    async importMaze(file) {
+        try {
+            const text = await file.text();
+            const maze = MazeSerializer.parse(text);
+
+            this.stop();
+            this._setEditing(false);
+            this.exitRace();
+            this._loadMaze(maze);
+            this._showFileMessage(`Importado ${file.name}`, false);
+        } catch (error) {
+            // Format errors, unreadable files and load failures alike
+            this._showFileMessage(error.message, true);
+        }
+    }
+
+    _showFileMessage(message, isError) {
+        const element = document.getElementById('fileMessage');
+        element.textContent = message;
+        element.classList.toggle('error', isError);
+    }
+
+    /**
+     * Toggle canvas edit mode
+     */
+    toggleEditMode() {
+        if (!this.maze) return;
+        this.stop();
+        this._setEditing(!this.isEditing);
+    }
+
+    _setEditing(editing) {
+        if (this.isEditing === editing) return;
+        this.isEditing = editing;
+        this.editor.setEnabled(editing);
+
+        const editBtn = document.getElementById('editBtn');
+        editBtn.classList.toggle('active', editing);
+        editBtn.querySelector('.btn-label').textContent = editing ? 'Terminar Edición' : 'Editar Laberinto';
+
+        if (!this.maze) return;
+
+        // Clear the old visualization; the NPC is hidden while editing
+        this.agents = [];
+        this._clearTrace();
+        this.renderer.clear();
+        this.renderer.renderMaze();
+        this.npc.reset(this.maze.start.x, this.maze.start.y);
+        if (!editing) this.renderer.drawNPC(this.npc);
+    }
+
+    /**
+     * Called by the editor after every grid change
+     */
+    _onMazeEdited(cells) {
+        if (this.editor.paintOnly) {
+            this._replan(cells);
+            this._updateAnalysis();
+            return;
+        }
+
+        this.agents = [];
+        this.npc.reset(this.maze.start.x, this.maze.start.y);
+        this._clearTrace();
+        this._resetMetrics();
+        this._updateAnalysis();
+    }
+
+    // ==========================================
+    // DYNAMIC OBSTACLES
+    // ==========================================
+
+    /**
+     * While the NPC walks, walls can be painted on the canvas without
+     * entering edit mode; every change triggers a replan
+     */
+    _setLiveEditing(enabled) {
+        this.editor.paintOnly = enabled;
+        this.editor.setEnabled(enabled || this.isEditing);
+    }
+
+    /**
+     * The NPC's current and next cell can't be walled over
+     */
+    _isUnderNPC(cell) {
+        if (!this.editor.paintOnly) return false;
+        return (cell.x === this.npc.x && cell.y === this.npc.y) ||
+            (cell.x === this.npc.targetX && cell.y === this.npc.targetY);
+    }
+
+    /**
+     * Repair the plan from the cell the NPC is heading to: incrementally
+     * with D* Lite, or from scratch with any other solver
+     */
+    _replan(changed) {
+        const current = { x: this.npc.targetX, y: this.npc.targetY };
+        const result = this.incrementalPlanner
+            ? this.pathfinder.repairPath(this.incrementalPlanner, changed, current)
+            : this.pathfinder.solve(this.currentAlgorithm, current, this.maze.end);
+
+        // No route left: the NPC waits where it is until an edit reopens one
+        this.routeBlocked = result.path.length === 0;
+        document.getElementById('solveStatus').textContent = this.routeBlocked
+            ? 'Sin ruta hacia la meta: quita una pared para continuar'
+            : '';
+
+        this.npc.replacePath(result.path);
+        this.renderer.markRepaired(result.visited);
+        this.renderer.setSolutionPath(result.path, result.path.length);
+
+        // The debugger timeline described the original run; drop it
+        this.visitedQueue = [];
+        this.trace = [];
+        this.solutionPath = [];
+        this.visitedIndex = 0;
+
+        this.metrics.reexpanded += result.visited.length;
+        this.metrics.pathLength = result.path.length;
+        this.metrics.pathCost = this.pathfinder.getPathCost(result.path);
+
+        this.renderer.redraw(this.npc);
+        this._updateMetricsDisplay();
+        this._updateDebugControls();
+    }
+
+    /**
+     * Recompute and show structural statistics of the current maze
+     */
+    _updateAnalysis() {
+        const stats = new MazeAnalyzer(this.maze).analyze();
+        const info = Maze.getAlgorithmInfo(this.maze.algorithm);
+        const percent = (value) => `${Math.round(value * 100)}%`;
+
+        document.getElementById('analysisSummary').textContent =
+            `${info.name} · ${stats.isPerfect ? 'perfecto' : 'con bucles'} · ${stats.openCells} celdas abiertas`;
+        document.getElementById('statDeadEnds').textContent = stats.deadEnds;
+        document.getElementById('statJunctions').textContent = stats.junctions;
+        document.getElementById('statDiameter').textContent =
+            stats.diameterExact ? stats.diameter : `≥${stats.diameter}`;
+        document.getElementById('statSolutionRatio').textContent =
+            stats.solutionLength > 0 ? percent(stats.solutionRatio) : '—';
+        document.getElementById('statRiver').textContent = percent(stats.riverFactor);
+        document.getElementById('statCorridor').textContent =
+            `${stats.corridors.mean.toFixed(1)} / ${stats.corridors.longest}`;
+
+        // Corridor length histogram as bars scaled to the largest bucket
+        const histogram = document.getElementById('corridorHistogram');
+        const maxCount = Math.max(1, ...stats.corridors.histogram.map(bucket => bucket.count));
+        histogram.innerHTML = '';
+        for (const bucket of stats.corridors.histogram) {
+            const bar = document.createElement('div');
+            bar.className = 'histogram-bar';
+            bar.title = `${bucket.count} corredores de longitud ${bucket.label}`;
+            bar.innerHTML = `
+                <span class="histogram-count">${bucket.count}</span>
+                <span class="histogram-fill" style="height: ${(bucket.count / maxCount) * 100}%"></span>
+                <span class="histogram-label">${bucket.label}</span>`;
+            histogram.appendChild(bar);
+        }
+    }
+
+    // ==========================================
+    // RACE MODE
+    // ==========================================
+
+    /**
+     * One checkbox per solver button, so new solvers join the race automatically
+     */
+    _buildRaceOptions() {
+        const container = document.getElementById('raceAlgorithms');
+
+        document.querySelectorAll('.algo-btn').forEach((btn, index) => {
+            const label = document.createElement('label');
+            label.className = 'race-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = btn.dataset.algo;
+            checkbox.dataset.name = btn.querySelector('.algo-name').textContent;
+            checkbox.checked = index < 2;
+            label.append(checkbox, ` ${checkbox.dataset.name}`);
+            container.appendChild(label);
+        });
+
+        container.addEventListener('change', () => this._updateRaceOptions());
+        this._updateRaceOptions();
+    }
+
+    /**
+     * Allow at most RaceMode.MAX_LANES selected algorithms
+     */
+    _updateRaceOptions() {
+        const checkboxes = [...document.querySelectorAll('#raceAlgorithms input')];
+        const selected = checkboxes.filter(cb => cb.checked).length;
+
+        checkboxes.forEach(cb => {
+            cb.disabled = !cb.checked && selected >= RaceMode.MAX_LANES;
+        });
+        document.getElementById('raceBtn').disabled =
+            !this.maze || this.isRunning || this.race.isRunning || selected < RaceMode.MIN_LANES;
+    }
+
+    /**
+     * Run the selected algorithms side by side on the current maze
+     */
+    startRace() {
+        if (!this.maze) return;
+
+        const algorithms = [...document.querySelectorAll('#raceAlgorithms input:checked')]
+            .map(cb => ({ id: cb.value, name: cb.dataset.name }));
+        if (algorithms.length < RaceMode.MIN_LANES || algorithms.length > RaceMode.MAX_LANES) return;
+
+        this.stop();
+        this._setEditing(false);
+
+        this.isRacing = true;
+        document.querySelector('.canvas-wrapper').classList.add('hidden');
+        document.getElementById('raceView').classList.remove('hidden');
+
+        this.race.setSpeed(this.explorationDelay);
+        this.race.start(this.maze, algorithms, this._searchOptions());
+        this._setRunningControls(true);
+    }
+
+    exitRace() {
+        if (!this.isRacing) return;
+        this.isRacing = false;
+        this.race.clear();
+
+        document.getElementById('raceView').classList.add('hidden');
+        document.querySelector('.canvas-wrapper').classList.remove('hidden');
+    }
+
+    // ==========================================
+    // STEP DEBUGGER
+    // ==========================================
+
+    /**
+     * Timeline = every explored cell followed by every solution cell
+     */
+    _getTimelineLength() {
+        return this.visitedQueue.length + this.solutionPath.length;
+    }
+
+    _getTimelinePosition() {
+        return this.visitedIndex + this.renderer.currentSolutionIndex;
+    }
+
+    /**
+     * Forget the last run (the grid changed or a new maze was loaded)
+     */
+    _clearTrace() {
+        this.visitedQueue = [];
+        this.trace = [];
+        this.solutionPath = [];
+        this.visitedIndex = 0;
+        this.isPaused = false;
+        this._updateDebugControls();
+    }
+
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        this.isPaused = true;
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        this._updateDebugControls();
+    }
+
+    resume() {
+        if (!this.isRunning || !this.isPaused) return;
+        this.isPaused = false;
+        this.lastStepTime = 0;
+        this.lastTime = performance.now();
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+        this._updateDebugControls();
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    stepForward() {
+        this.seekTo(this._getTimelinePosition() + 1);
+    }
+
+    stepBackward() {
+        this.seekTo(this._getTimelinePosition() - 1);
+    }
+
+    /**
+     * Jump to any point of the timeline and pause there
+     * Works on a running, stopped or finished run
+     */
+    seekTo(step) {
+        const total = this._getTimelineLength();
+        if (total === 0) return;
+
+        // Seeking turns a stopped or finished run back into a paused one
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this._setRunningControls(true);
+        }
+        this.pause();
+
+        step = Math.max(0, Math.min(step, total));
+        this.renderer.markRepaired([]);
+        const explored = this.visitedQueue.length;
+        this.visitedIndex = Math.min(step, explored);
+        this.renderer.setProgress(this.trace, this.visitedIndex, step - this.visitedIndex);
+
+        if (step < explored) {
+            this.phase = 'exploring';
+        } else if (step < total) {
+            this.phase = 'solving';
+        } else {
+            this.phase = 'following';
+        }
+
+        // NPC only walks once the whole timeline has played
+        this.npc.reset(this.maze.start.x, this.maze.start.y);
+        this.npc.setPath(this.solutionPath);
+        this._setLiveEditing(this.phase === 'following');
+
+        this.renderer.redraw(this.npc);
+        this._updateMetricsDisplay();
+        this._updateDebugControls();
+    }
+
+    /**
+     * Sync pause button, step buttons and timeline with the current state
+     */
+    _updateDebugControls() {
+        const total = this._getTimelineLength();
+        const position = Math.min(this._getTimelinePosition(), total);
+
+        const timeline = document.getElementById('timeline');
+        timeline.max = total;
+        timeline.value = position;
+        timeline.disabled = total === 0;
+
+        document.getElementById('timelineValue').textContent = `${position} / ${total}`;
+
+        const pauseBtn = document.getElementById('pauseBtn');
+        pauseBtn.disabled = !this.isRunning;
+        pauseBtn.textContent = this.isPaused ? '▶️' : '⏸️';
+        pauseBtn.title = this.isPaused ? 'Reanudar' : 'Pausar';
+
+        document.getElementById('stepBackBtn').disabled = total === 0 || position === 0;
+        document.getElementById('stepForwardBtn').disabled = total === 0 || position >= total;
+    }
+
     /**
      * Main animation loop
      */
     _animate(currentTime) {
-        if (!this.isRunning) return;
+        if (!this.isRunning || this.isPaused) return;
 
         const deltaTime = currentTime - this.lastTime;
         this.lastTime = currentTime;
@@ -227,6 +1330,9 @@ class Game {
             case 'following':
                 this._animateNPC(deltaTime);
                 break;
+            case 'team':
+                this._animateTeam(deltaTime);
+                break;
             case 'complete':
                 this._onComplete();
                 return;
@@ -234,6 +1340,7 @@ class Game {
 
         // Update display
         this._updateMetricsDisplay();
+        this._updateDebugControls();
 
         this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
     }
@@ -246,8 +1353,7 @@ class Game {
         this.lastStepTime = currentTime;
 
         if (this.visitedIndex < this.visitedQueue.length) {
-            const cell = this.visitedQueue[this.visitedIndex];
-            this.renderer.markVisited(cell.x, cell.y);
+            this.renderer.applyTraceStep(this.trace[this.visitedIndex]);
             this.visitedIndex++;
         } else {
             // Move to solution phase
@@ -266,8 +1372,9 @@ class Game {
         if (this.renderer.advanceSolution()) {
             // Still drawing solution
         } else {
-            // Move to following phase
+            // Move to following phase; walls can now be toggled live
             this.phase = 'following';
+            this._setLiveEditing(true);
         }
     }
 
@@ -277,12 +1384,13 @@ class Game {
     _animateNPC(deltaTime) {
         // Update NPC
         const isAnimating = this.npc.update(deltaTime);
+        this._followFloor(this.npc);
 
         // Redraw
         this.renderer.redraw(this.npc);
 
-        // Move to next cell if not animating
-        if (!isAnimating) {
+        // Move to next cell if not animating (and not walled in)
+        if (!isAnimating && !this.routeBlocked) {
             if (!this.npc.moveToNext()) {
                 // Reached end
                 this.phase = 'complete';
@@ -295,18 +1403,17 @@ class Game {
      */
     _onComplete() {
         this.isRunning = false;
+        this._setLiveEditing(false);
 
         // Final redraw
-        this.renderer.redraw(this.npc);
+        this.renderer.redraw(this._getNPCs());
 
         // Update UI
-        document.getElementById('generateBtn').disabled = false;
-        document.getElementById('solveBtn').disabled = false;
-        document.getElementById('stopBtn').disabled = true;
-        document.querySelector('.metrics-card').classList.remove('solving');
+        this._setRunningControls(false);
 
         // Final metrics update
         this._updateMetricsDisplay();
+        this._updateDebugControls();
     }
 
     /**
@@ -314,18 +1421,75 @@ class Game {
      */
     stop() {
         this.isRunning = false;
+        this.isPaused = false;
         this.phase = 'idle';
+        this._setLiveEditing(false);
+        this.race.stop();
+        if (this.chase.isRunning) {
+            this.chase.stop();
+            document.getElementById('chaseStatus').textContent = 'Persecución detenida';
+        }
+        if (this.fog.isRunning) {
+            this.fog.stop();
+            document.getElementById('fogStatus').textContent = 'Exploración detenida';
+        }
+        if (this.explorer.isRunning) {
+            this.explorer.stop();
+            document.getElementById('exploreStatus').textContent = 'Exploración detenida';
+        }
+        if (this.learning.isRunning) {
+            this.learning.stop();
+            document.getElementById('learnStatus').textContent = 'Entrenamiento detenido';
+        }
 
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
 
-        // Update UI
-        document.getElementById('generateBtn').disabled = false;
-        document.getElementById('solveBtn').disabled = !this.maze;
-        document.getElementById('stopBtn').disabled = true;
-        document.querySelector('.metrics-card').classList.remove('solving');
+        // Update UI (the trace stays so the timeline can still be scrubbed)
+        this._setRunningControls(false);
+        this._updateDebugControls();
+    }
+
+    /**
+     * Enable/disable action buttons for a running or idle state
+     */
+    _setRunningControls(running) {
+        document.getElementById('generateBtn').disabled = running;
+        document.getElementById('solveBtn').disabled = running || !this.maze;
+        document.getElementById('teamBtn').disabled = running || !this.maze;
+        document.getElementById('chaseBtn').disabled = running || !this._isPlainGrid();
+        document.getElementById('fogBtn').disabled = running || !this._isPlainGrid();
+        document.getElementById('exploreBtn').disabled = running || !this._isPlainGrid();
+        document.getElementById('learnBtn').disabled = running || !this._isPlainGrid();
+        document.getElementById('stopBtn').disabled = !running;
+        document.getElementById('diagonalMove').disabled = running || this._hasTopology();
+        document.getElementById('cornerRule').disabled = running || !this.diagonal || this._hasTopology();
+        document.getElementById('heuristic').disabled = running || this._hasTopology();
+        document.getElementById('heuristicWeight').disabled = running;
+        document.querySelector('.metrics-card').classList.toggle('solving', running);
+
+        if (running) {
+            document.getElementById('raceBtn').disabled = true;
+        } else {
+            this._updateRaceOptions();
+        }
+    }
+
+    /**
+     * Hex, triangle or polar maze loaded: movement and heuristic come from its topology
+     */
+    _hasTopology() {
+        return Boolean(this.maze && this.maze.topology);
+    }
+
+    /**
+     * A single-floor square maze is loaded: the chase, fog, exploration and
+     * learning modes and the file export only work on one
+     */
+    _isPlainGrid() {
+        return Boolean(this.maze && !this.maze.topology && this.maze.floors === 1);
     }
 
     /**
@@ -335,6 +1499,12 @@ class Game {
         this.metrics = {
             nodesVisited: 0,
             pathLength: 0,
+            pathCost: 0,
+            makespan: 0,
+            totalWaits: 0,
+            reexpanded: 0,
+            explorationSteps: 0,
+            revisits: 0,
             startTime: 0,
             endTime: 0
         };
@@ -350,6 +1520,12 @@ class Game {
         document.getElementById('nodesVisited').textContent =
             this.phase === 'exploring' ? this.visitedIndex : this.metrics.nodesVisited;
         document.getElementById('pathLength').textContent = this.metrics.pathLength;
+        document.getElementById('pathCost').textContent = PathfindingAlgorithms.formatCost(this.metrics.pathCost);
+        document.getElementById('makespan').textContent = this.metrics.makespan;
+        document.getElementById('totalWaits').textContent = this.metrics.totalWaits;
+        document.getElementById('reexpanded').textContent = this.metrics.reexpanded;
+        document.getElementById('explorationSteps').textContent = this.metrics.explorationSteps;
+        document.getElementById('revisits').textContent = this.metrics.revisits;
         document.getElementById('timeElapsed').textContent = `${timeElapsed.toFixed(1)} ms`;
     }
 }
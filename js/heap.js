@@ -0,0 +1,165 @@
+/**
+ * Indexed Binary Min-Heap
+ * Priority queue for A* and Dijkstra with O(log n) push/pop and decrease-key
+ * Ties are broken by insertion order so exploration stays deterministic
+ * Priorities are numbers unless a compare(a, b) function is given
+ * (negative when a goes first, like Array.prototype.sort)
+ */
+
+class MinHeap {
+    constructor(compare = null) {
+        this.nodes = [];          // Array of { key, value, priority, order }
+        this.indices = new Map(); // key -> position in nodes
+        this.counter = 0;
+        this.compare = compare;
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    isEmpty() {
+        return this.nodes.length === 0;
+    }
+
+    has(key) {
+        return this.indices.has(key);
+    }
+
+    /**
+     * Current priority stored for a key (undefined if absent)
+     */
+    getPriority(key) {
+        const index = this.indices.get(key);
+        return index === undefined ? undefined : this.nodes[index].priority;
+    }
+
+    /**
+     * Insert a new entry, or lower the priority of an existing one
+     * Returns true if the heap changed
+     */
+    push(key, value, priority) {
+        if (this.indices.has(key)) {
+            return this.decreaseKey(key, priority, value);
+        }
+
+        const node = { key, value, priority, order: this.counter++ };
+        this.nodes.push(node);
+        this.indices.set(key, this.nodes.length - 1);
+        this._siftUp(this.nodes.length - 1);
+        return true;
+    }
+
+    /**
+     * Lower the priority of an existing key
+     * Returns false if the key is missing or the new priority isn't lower
+     */
+    decreaseKey(key, priority, value) {
+        const index = this.indices.get(key);
+        if (index === undefined || !this._isLower(priority, this.nodes[index].priority)) {
+            return false;
+        }
+
+        const node = this.nodes[index];
+        node.priority = priority;
+        if (value !== undefined) node.value = value;
+        this._siftUp(index);
+        return true;
+    }
+
+    /**
+     * Remove and return the entry with the lowest priority
+     */
+    pop() {
+        if (this.nodes.length === 0) return undefined;
+
+        const top = this.nodes[0];
+        const last = this.nodes.pop();
+        this.indices.delete(top.key);
+
+        if (this.nodes.length > 0) {
+            this.nodes[0] = last;
+            this.indices.set(last.key, 0);
+            this._siftDown(0);
+        }
+
+        return top;
+    }
+
+    peek() {
+        return this.nodes[0];
+    }
+
+    /**
+     * Remove an entry by key
+     * Returns false if the key is missing
+     */
+    remove(key) {
+        const index = this.indices.get(key);
+        if (index === undefined) return false;
+
+        const last = this.nodes.pop();
+        this.indices.delete(key);
+
+        if (index < this.nodes.length) {
+            this.nodes[index] = last;
+            this.indices.set(last.key, index);
+            this._siftUp(index);
+            this._siftDown(this.indices.get(last.key));
+        }
+
+        return true;
+    }
+
+    _less(a, b) {
+        const na = this.nodes[a];
+        const nb = this.nodes[b];
+        if (this.compare) {
+            const order = this.compare(na.priority, nb.priority);
+            return order < 0 || (order === 0 && na.order < nb.order);
+        }
+        return na.priority < nb.priority ||
+            (na.priority === nb.priority && na.order < nb.order);
+    }
+
+    _isLower(a, b) {
+        return this.compare ? this.compare(a, b) < 0 : a < b;
+    }
+
+    _swap(a, b) {
+        const nodes = this.nodes;
+        [nodes[a], nodes[b]] = [nodes[b], nodes[a]];
+        this.indices.set(nodes[a].key, a);
+        this.indices.set(nodes[b].key, b);
+    }
+
+    _siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this._less(index, parent)) break;
+            this._swap(index, parent);
+            index = parent;
+        }
+    }
+
+    _siftDown(index) {
+        const length = this.nodes.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this._less(left, smallest)) smallest = left;
+            if (right < length && this._less(right, smallest)) smallest = right;
+            if (smallest === index) break;
+
+            this._swap(index, smallest);
+            index = smallest;
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MinHeap;
+}
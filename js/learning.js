@@ -0,0 +1,247 @@
+/**
+ * Learning Mode
+ * Trains a QLearner for a number of episodes without animating them
+ * (a time-boxed batch per frame keeps the page responsive), drawing the
+ * max-Q heatmap and the steps-per-episode curve as it goes, and then walks
+ * the NPC along the learned greedy policy
+ */
+
+class LearningMode {
+    constructor(renderer, curveCanvas) {
+        this.renderer = renderer;
+        this.curveCanvas = curveCanvas;
+        this.curveCtx = curveCanvas.getContext('2d');
+        this.maze = null;
+        this.learner = null;
+        this.episodes = 0;
+        this.optimalSteps = null; // Shortest solution, drawn as a reference line
+
+        this.npc = null;
+        this.policy = [];
+        this.phase = 'idle'; // idle, training, following
+        this.outcome = null; // null, learned, failed
+
+        // Loop
+        this.isRunning = false;
+        this.animationFrameId = null;
+        this.lastTime = 0;
+        this.nextStep = 0;
+        this.stepDelay = 100;
+
+        // Called after every training batch and policy step with this.getStats()
+        this.onUpdate = null;
+        // Called with the outcome once the policy walk is over
+        this.onComplete = null;
+    }
+
+    /**
+     * options are passed to QLearner (method, alpha, gamma, epsilon schedule, rewards)
+     */
+    start(maze, options, episodes) {
+        this.stop();
+
+        this.maze = maze;
+        this.learner = new QLearner(maze, options);
+        this.episodes = episodes;
+        this.policy = [];
+        this.outcome = null;
+
+        const distances = maze.getDistances(maze.start);
+        const endKey = `${maze.end.x},${maze.end.y}`;
+        this.optimalSteps = distances.has(endKey) ? distances.get(endKey) : null;
+
+        this.npc = new NPC(maze.start.x, maze.start.y);
+        this.npc.animationSpeed = 0.25;
+
+        this.renderer.clear();
+        this.renderer.renderMaze();
+        this.renderer.drawNPC(this.npc);
+        this._drawCurve();
+
+        this.phase = 'training';
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    setSpeed(stepDelay) {
+        this.stepDelay = stepDelay;
+    }
+
+    getStats() {
+        const learner = this.learner;
+        const last = learner.history[learner.history.length - 1];
+        return {
+            phase: this.phase,
+            episode: learner.episode,
+            episodes: this.episodes,
+            epsilon: learner.epsilon,
+            lastSteps: last ? last.steps : 0,
+            successes: learner.history.filter(h => h.reached).length,
+            totalSteps: learner.totalSteps,
+            statesVisited: learner.visits.filter(count => count > 0).length,
+            policyLength: this.policy.length,
+            policyCost: this.policy.slice(1).reduce((sum, cell) => sum + this.maze.getCost(cell.x, cell.y), 0),
+            stepsWalked: this.npc ? this.npc.pathIndex : 0
+        };
+    }
+
+    _animate(currentTime) {
+        if (!this.isRunning) return;
+
+        const deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        if (this.phase === 'training') {
+            this._train();
+        } else if (this.phase === 'following') {
+            const isAnimating = this.npc.update(deltaTime);
+            if (!isAnimating && currentTime >= this.nextStep) {
+                if (this.npc.moveToNext()) {
+                    this.renderer.advanceSolution();
+                    this.nextStep = currentTime + this.stepDelay;
+                    this._notify();
+                } else {
+                    this._finish('learned');
+                    return;
+                }
+            }
+            this.renderer.redraw(this.npc);
+        }
+
+        if (this.phase === 'idle') return;
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    /**
+     * Run episodes for up to TRAIN_BUDGET ms, then show the progress
+     */
+    _train() {
+        const deadline = performance.now() + LearningMode.TRAIN_BUDGET;
+        while (this.learner.episode < this.episodes && performance.now() < deadline) {
+            this.learner.runEpisode();
+        }
+
+        this.renderer.setHeatmap(this.learner.getValueMap());
+        this.renderer.redraw(this.npc);
+        this._drawCurve();
+        this._notify();
+
+        if (this.learner.episode >= this.episodes) this._startPolicy();
+    }
+
+    /**
+     * Training is over: walk the greedy policy if it reaches the end
+     */
+    _startPolicy() {
+        const { path, reached } = this.learner.greedyPath();
+        this.policy = path;
+
+        if (!reached) {
+            // Show how far the policy gets before it loops or dead-ends
+            this.renderer.setSolutionPath(path, path.length);
+            this.renderer.redraw(this.npc);
+            this._finish('failed');
+            return;
+        }
+
+        this.renderer.setSolutionPath(path, 1);
+        this.npc.setPath(path);
+        this.phase = 'following';
+        this.nextStep = 0;
+    }
+
+    _finish(outcome) {
+        this.outcome = outcome;
+        this.phase = 'idle';
+        this.stop();
+        this._notify();
+        if (this.onComplete) this.onComplete(outcome);
+    }
+
+    /**
+     * Steps per episode (thin) with its moving average (thick) and the
+     * shortest solution as a dashed reference
+     */
+    _drawCurve() {
+        const ctx = this.curveCtx;
+        const { width, height } = this.curveCanvas;
+        const history = this.learner.history;
+        const pad = 4;
+
+        ctx.fillStyle = LearningMode.CURVE_COLORS.background;
+        ctx.fillRect(0, 0, width, height);
+        if (history.length === 0) return;
+
+        // A loop, not a spread: long histories overflow the call stack
+        const maxSteps = history.reduce((max, h) => Math.max(max, h.steps), Math.max(this.optimalSteps || 0, 1));
+        const x = (i) => pad + (i / Math.max(1, this.episodes - 1)) * (width - pad * 2);
+        const y = (steps) => height - pad - (steps / maxSteps) * (height - pad * 2);
+
+        const line = (values, color, lineWidth) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            values.forEach((value, i) => {
+                if (i === 0) ctx.moveTo(x(i), y(value));
+                else ctx.lineTo(x(i), y(value));
+            });
+            ctx.stroke();
+        };
+
+        if (this.optimalSteps !== null) {
+            ctx.strokeStyle = LearningMode.CURVE_COLORS.optimal;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pad, y(this.optimalSteps));
+            ctx.lineTo(width - pad, y(this.optimalSteps));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        const steps = history.map(h => h.steps);
+        line(steps, LearningMode.CURVE_COLORS.steps, 1);
+
+        const span = LearningMode.CURVE_WINDOW;
+        let sum = 0;
+        const average = steps.map((value, i) => {
+            sum += value - (i >= span ? steps[i - span] : 0);
+            return sum / Math.min(i + 1, span);
+        });
+        line(average, LearningMode.CURVE_COLORS.average, 2);
+    }
+
+    _notify() {
+        if (this.onUpdate) this.onUpdate(this.getStats());
+    }
+}
+
+// Milliseconds of training per animation frame
+LearningMode.TRAIN_BUDGET = 12;
+
+// Episodes in the moving average of the learning curve
+LearningMode.CURVE_WINDOW = 20;
+
+// Longest training run (the max of the #rlEpisodes input)
+LearningMode.MAX_EPISODES = 10000;
+
+LearningMode.CURVE_COLORS = {
+    background: '#1e1e2e',
+    steps: 'rgba(129, 140, 248, 0.45)',
+    average: '#fbbf24',
+    optimal: '#10b981'
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LearningMode;
+}
@@ -1,18 +1,63 @@
 /**
  * Advanced Maze Generator
  * Graph-based maze generation with multiple algorithms
- * Includes: Recursive Backtracking, Prim's, Kruskal's, Eller's, and Binary Tree
+ * Includes: Recursive Backtracking, Prim's, Kruskal's, Eller's, Binary Tree,
+ * Wilson's, Aldous-Broder, Growing Tree and Recursive Division
+ * Square grids store walls as cells; hex, triangle and polar grids (see
+ * Topology) store the open sides between cells as passages
+ * Square mazes can be stacked into floors linked by stairs
  */
 
 class Maze {
-    constructor(size, algorithm = 'backtracking') {
+    constructor(size, algorithm = 'backtracking', options = {}) {
         // Ensure odd size for proper maze generation
         this.size = size % 2 === 0 ? size + 1 : size;
         this.grid = [];
         this.start = { x: 1, y: 1 };
+        this.covered = {}; // Cell value under a moved marker, keyed by 2 (start) / 3 (end)
         this.end = { x: this.size - 2, y: this.size - 2 };
         this.algorithm = algorithm;
 
+        // Cell layout: null for the square grid, else a Topology whose
+        // cells are all open and whose open sides are kept in passages
+        this.topology = Topology.create(options.topology, this.size);
+        this.passages = new Set(); // "x1,y1|x2,y2" keys, see _passageKey
+        if (this.topology) {
+            this.start = { x: 0, y: 0 };
+            const lastRow = this.topology.rows - 1;
+            this.end = { x: this.topology.rowLength(lastRow) - 1, y: lastRow };
+        }
+
+        // Multi-level square mazes: floor f fills columns f * size to
+        // (f + 1) * size - 1 of one wide grid, so every cell keeps a plain
+        // (x, y) address. Stairs (7) connect to the stairs straight above
+        // and below. Start on the first floor, end on the last one
+        this.floors = this.topology ? 1 : Math.max(1, Math.floor(options.floors || 1));
+        this.end.x += (this.floors - 1) * this.size;
+
+        // Seeded PRNG: same seed + size + algorithm always yields the same grid
+        const hasSeed = options.seed !== undefined && options.seed !== null && options.seed !== '';
+        this.seed = hasSeed ? options.seed : SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+
+        // Fraction of the carved paths covered by weighted terrain (0 = none)
+        this.terrainDensity = options.terrain || 0;
+
+        // Imperfect mazes: fraction of dead ends removed, fraction of
+        // remaining inner walls knocked down to create extra loops
+        this.braidAmount = options.braid || 0;
+        this.loopAmount = options.loops || 0;
+
+        // Growing Tree: which active cell grows next (see Maze.GROWING_TREE_STRATEGIES)
+        this.growingTreeStrategy = options.growingTree in Maze.GROWING_TREE_STRATEGIES
+            ? options.growingTree
+            : 'newest';
+
+        // Movement: 4-connected by default; with diagonal on, cornerRule
+        // (see Maze.CORNER_RULES) decides when a diagonal step may pass walls
+        this.diagonal = false;
+        this.cornerRule = 'never';
+
         // Graph representation for complex algorithms
         this.graph = new Map(); // Adjacency list
         this.edges = []; // For Kruskal's algorithm
@@ -24,8 +69,17 @@ class Maze {
      * 1 = Path
      * 2 = Start
      * 3 = End
+     * 4 = Sand, 5 = Mud, 6 = Water (weighted terrain, see Maze.TERRAIN)
+     * 7 = Stairs (multi-level mazes)
      */
     generate() {
+        // Restart the PRNG so regenerating reproduces the same maze
+        this.rng = new SeededRandom(this.seed);
+        this.covered = {};
+
+        if (this.topology) return this._generateCellGraph();
+        if (this.floors > 1) return this._generateFloors();
+
         // Initialize grid with walls
         this.grid = Array(this.size).fill(null).map(() =>
             Array(this.size).fill(0)
@@ -54,6 +108,18 @@ class Maze {
             case 'huntandkill':
                 this._generateHuntAndKill();
                 break;
+            case 'wilsons':
+                this._generateWilsons();
+                break;
+            case 'aldousbroder':
+                this._generateAldousBroder();
+                break;
+            case 'growingtree':
+                this._generateGrowingTree();
+                break;
+            case 'division':
+                this._generateRecursiveDivision();
+                break;
             default:
                 this._generateBacktracking();
         }
@@ -65,6 +131,13 @@ class Maze {
         // Ensure there's a path to the end
         this._ensureEndReachable();
 
+        // Turn the perfect maze into an imperfect one (multiple routes)
+        this._braid(this.braidAmount);
+        this._addLoops(this.loopAmount);
+
+        // Scatter weighted terrain over the carved paths
+        this._scatterTerrain(this.terrainDensity);
+
         return this;
     }
 
@@ -113,7 +186,7 @@ class Maze {
 
         while (frontier.length > 0) {
             // Pick random frontier cell
-            const idx = Math.floor(Math.random() * frontier.length);
+            const idx = this.rng.nextInt(frontier.length);
             const [fx, fy] = frontier.splice(idx, 1)[0];
 
             // Find visited neighbors (cells that are paths)
@@ -121,7 +194,7 @@ class Maze {
 
             if (neighbors.length > 0) {
                 // Pick random neighbor and connect
-                const [nx, ny] = neighbors[Math.floor(Math.random() * neighbors.length)];
+                const [nx, ny] = neighbors[this.rng.nextInt(neighbors.length)];
 
                 // Make frontier cell a path
                 this.grid[fy][fx] = 1;
@@ -269,7 +342,7 @@ class Maze {
 
                 // Join if different sets (or randomly if not last row)
                 const isLastRow = y === this.size - 2;
-                if (setA !== setB && (Math.random() > 0.5 || isLastRow)) {
+                if (setA !== setB && (this.rng.next() > 0.5 || isLastRow)) {
                     // Merge sets
                     this.grid[y][x + 1] = 1;
                     for (const [cx, cs] of currentSets) {
@@ -290,7 +363,7 @@ class Maze {
                 // Each set must have at least one downward connection
                 for (const [set, cells] of setGroups) {
                     this._shuffle(cells);
-                    const connectCount = Math.max(1, Math.floor(Math.random() * cells.length) + 1);
+                    const connectCount = Math.max(1, this.rng.nextInt(cells.length) + 1);
 
                     for (let i = 0; i < connectCount; i++) {
                         const x = cells[i];
@@ -320,7 +393,7 @@ class Maze {
 
                 if (canGoNorth && canGoWest) {
                     // Randomly choose north or west
-                    if (Math.random() > 0.5) {
+                    if (this.rng.next() > 0.5) {
                         this.grid[y - 1][x] = 1;
                     } else {
                         this.grid[y][x - 1] = 1;
@@ -348,7 +421,7 @@ class Maze {
 
                 const atEasternBoundary = x + 2 >= this.size - 1;
                 const atNorthernBoundary = y <= 1;
-                const shouldCloseRun = atEasternBoundary || (!atNorthernBoundary && Math.random() > 0.5);
+                const shouldCloseRun = atEasternBoundary || (!atNorthernBoundary && this.rng.next() > 0.5);
 
                 if (shouldCloseRun) {
                     // Close the run: carve north from random cell in run
@@ -357,7 +430,7 @@ class Maze {
                         for (let rx = runStart; rx <= x; rx += 2) {
                             runCells.push(rx);
                         }
-                        const randomX = runCells[Math.floor(Math.random() * runCells.length)];
+                        const randomX = runCells[this.rng.nextInt(runCells.length)];
                         this.grid[y - 1][randomX] = 1;
                     }
                     runStart = x + 2;
@@ -384,7 +457,7 @@ class Maze {
             const neighbors = this._getUnvisitedNeighbors(currentX, currentY);
 
             if (neighbors.length > 0) {
-                const [nx, ny] = neighbors[Math.floor(Math.random() * neighbors.length)];
+                const [nx, ny] = neighbors[this.rng.nextInt(neighbors.length)];
 
                 // Carve path
                 const wallX = currentX + (nx - currentX) / 2;
@@ -404,7 +477,7 @@ class Maze {
                             const visitedNeighbors = this._getVisitedNeighbors(x, y);
                             if (visitedNeighbors.length > 0) {
                                 // Found a cell to continue from
-                                const [vx, vy] = visitedNeighbors[Math.floor(Math.random() * visitedNeighbors.length)];
+                                const [vx, vy] = visitedNeighbors[this.rng.nextInt(visitedNeighbors.length)];
 
                                 // Carve path
                                 const wallX = x + (vx - x) / 2;
@@ -438,6 +511,788 @@ class Maze {
         return neighbors;
     }
 
+    /**
+     * Wilson's Algorithm
+     * Loop-erased random walks from every room until they hit the maze
+     * Uniform spanning tree: no bias at all, but slow to start
+     */
+    _generateWilsons() {
+        this.grid[1][1] = 1;
+
+        for (const [roomX, roomY] of this._shuffle(this._getRooms())) {
+            // Walk until the maze is reached; remembering only the last
+            // exit taken from each room erases the loops
+            const exits = new Map();
+            let [x, y] = [roomX, roomY];
+            while (this.grid[y][x] === 0) {
+                const next = this.rng.pick(this._getRoomNeighbors(x, y));
+                exits.set(`${x},${y}`, next);
+                [x, y] = next;
+            }
+
+            // Carve the loop-free walk
+            [x, y] = [roomX, roomY];
+            while (this.grid[y][x] === 0) {
+                const [nx, ny] = exits.get(`${x},${y}`);
+                this.grid[y][x] = 1;
+                this.grid[(y + ny) / 2][(x + nx) / 2] = 1;
+                [x, y] = [nx, ny];
+            }
+        }
+    }
+
+    /**
+     * Aldous-Broder Algorithm
+     * Plain random walk that carves into every room it sees first
+     * Uniform spanning tree, but the last rooms take long to reach
+     */
+    _generateAldousBroder() {
+        let x = 1;
+        let y = 1;
+        this.grid[y][x] = 1;
+        let remaining = this._getRooms().length - 1;
+
+        while (remaining > 0) {
+            const [nx, ny] = this.rng.pick(this._getRoomNeighbors(x, y));
+
+            if (this.grid[ny][nx] === 0) {
+                this.grid[(y + ny) / 2][(x + nx) / 2] = 1;
+                this.grid[ny][nx] = 1;
+                remaining--;
+            }
+
+            x = nx;
+            y = ny;
+        }
+    }
+
+    /**
+     * Growing Tree Algorithm
+     * Grows from a list of active rooms; the picking strategy sets the
+     * texture, from backtracking (newest) to Prim's (random)
+     */
+    _generateGrowingTree() {
+        this.grid[1][1] = 1;
+        const active = [[1, 1]];
+
+        while (active.length > 0) {
+            const index = this._growingTreeIndex(active.length);
+            const [x, y] = active[index];
+            const neighbors = this._getUnvisitedNeighbors(x, y);
+
+            if (neighbors.length === 0) {
+                active.splice(index, 1);
+                continue;
+            }
+
+            const [nx, ny] = this.rng.pick(neighbors);
+            this.grid[(y + ny) / 2][(x + nx) / 2] = 1;
+            this.grid[ny][nx] = 1;
+            active.push([nx, ny]);
+        }
+    }
+
+    /**
+     * Index of the active cell the Growing Tree grows next
+     */
+    _growingTreeIndex(length) {
+        switch (this.growingTreeStrategy) {
+            case 'random':
+                return this.rng.nextInt(length);
+            case 'oldest':
+                return 0;
+            case 'mix':
+                return this.rng.next() < 0.5 ? length - 1 : this.rng.nextInt(length);
+            default:
+                return length - 1;
+        }
+    }
+
+    /**
+     * Recursive Division Algorithm
+     * Adds walls instead of carving: splits an open chamber with a wall
+     * that has one gap, then splits both halves
+     * Creates long straight walls and a visible box structure
+     */
+    _generateRecursiveDivision() {
+        for (let y = 1; y < this.size - 1; y++) {
+            for (let x = 1; x < this.size - 1; x++) {
+                this.grid[y][x] = 1;
+            }
+        }
+
+        this._divide(1, 1, this.size - 2, this.size - 2);
+    }
+
+    /**
+     * Split the chamber between two rooms (inclusive grid bounds)
+     */
+    _divide(left, top, right, bottom) {
+        const width = right - left + 1;
+        const height = bottom - top + 1;
+        if (width < 3 || height < 3) return;
+
+        // Cut across the longer side so chambers stay roughly square
+        const horizontal = height > width || (height === width && this.rng.next() < 0.5);
+
+        if (horizontal) {
+            // Walls go on even rows, gaps on odd (room) columns
+            const wallY = top + 1 + 2 * this.rng.nextInt((height - 1) / 2);
+            const gapX = left + 2 * this.rng.nextInt((width + 1) / 2);
+            for (let x = left; x <= right; x++) {
+                if (x !== gapX) this.grid[wallY][x] = 0;
+            }
+            this._divide(left, top, right, wallY - 1);
+            this._divide(left, wallY + 1, right, bottom);
+        } else {
+            const wallX = left + 1 + 2 * this.rng.nextInt((width - 1) / 2);
+            const gapY = top + 2 * this.rng.nextInt((height + 1) / 2);
+            for (let y = top; y <= bottom; y++) {
+                if (y !== gapY) this.grid[y][wallX] = 0;
+            }
+            this._divide(left, top, wallX - 1, bottom);
+            this._divide(wallX + 1, top, right, bottom);
+        }
+    }
+
+    /**
+     * Every room of the square grid (odd coordinates)
+     */
+    _getRooms() {
+        const rooms = [];
+        for (let y = 1; y < this.size - 1; y += 2) {
+            for (let x = 1; x < this.size - 1; x += 2) {
+                rooms.push([x, y]);
+            }
+        }
+        return rooms;
+    }
+
+    /**
+     * Rooms two steps away, carved or not
+     */
+    _getRoomNeighbors(x, y) {
+        return [[0, -2], [2, 0], [0, 2], [-2, 0]]
+            .map(([dx, dy]) => [x + dx, y + dy])
+            .filter(([nx, ny]) => this._isInBounds(nx, ny));
+    }
+
+    // ==========================================
+    // FLOORS
+    // ==========================================
+
+    /**
+     * Carve every floor as its own maze (seeded from this one) with the
+     * selected algorithm, lay them side by side and link neighboring
+     * floors with stairs
+     */
+    _generateFloors() {
+        const floors = [];
+        for (let floor = 0; floor < this.floors; floor++) {
+            const level = new Maze(this.size, this.algorithm, {
+                seed: `${this.seed}-floor${floor}`,
+                terrain: this.terrainDensity,
+                braid: this.braidAmount,
+                loops: this.loopAmount,
+                growingTree: this.growingTreeStrategy
+            }).generate();
+            floors.push(level.grid);
+        }
+
+        // Only the first start and the last end are kept
+        this.grid = Array(this.size).fill(null).map((_, y) =>
+            floors.flatMap(grid => grid[y].map(cell => (cell === 2 || cell === 3 ? 1 : cell)))
+        );
+        this.grid[this.start.y][this.start.x] = 2;
+        this.grid[this.end.y][this.end.x] = 3;
+
+        this._placeStairs();
+        return this;
+    }
+
+    /**
+     * Put Maze.STAIRS_PER_FLOOR stairs between each pair of neighboring
+     * floors, on rooms that are open on both
+     */
+    _placeStairs() {
+        const canHoldStairs = (x, y) => {
+            const cell = this.grid[y][x];
+            return cell !== 0 && cell !== 2 && cell !== 3;
+        };
+
+        for (let floor = 0; floor + 1 < this.floors; floor++) {
+            const candidates = [];
+            for (let y = 1; y < this.size - 1; y += 2) {
+                for (let x = floor * this.size + 1; x < (floor + 1) * this.size - 1; x += 2) {
+                    if (canHoldStairs(x, y) && canHoldStairs(x + this.size, y)) candidates.push([x, y]);
+                }
+            }
+
+            this._shuffle(candidates);
+            for (const [x, y] of candidates.slice(0, Maze.STAIRS_PER_FLOOR)) {
+                this.grid[y][x] = 7;
+                this.grid[y][x + this.size] = 7;
+            }
+        }
+    }
+
+    /**
+     * Floor index of a grid column
+     */
+    getFloor(x) {
+        return Math.floor(x / this.size);
+    }
+
+    /**
+     * Cells reached by climbing or descending the stairs at (x, y)
+     */
+    getFloorLinks(x, y) {
+        if (this.floors === 1 || this.getCell(x, y) !== 7) return [];
+
+        return [x - this.size, x + this.size]
+            .filter(nx => this.getCell(nx, y) === 7)
+            .map(nx => ({ x: nx, y }));
+    }
+
+    // ==========================================
+    // CELL GRAPH GENERATION (hex, triangle and polar)
+    // ==========================================
+
+    /**
+     * Carve a topology maze: every cell is open, generation opens the
+     * passages of a spanning tree over the cell graph
+     * Row-based algorithms (Eller's, Binary Tree, Sidewinder) and Recursive
+     * Division need a square grid and fall back to backtracking
+     * (see Maze.GRAPH_ALGORITHMS)
+     */
+    _generateCellGraph() {
+        const { rows } = this.topology;
+        this.grid = Array(rows).fill(null).map((_, y) => Array(this.topology.rowLength(y)).fill(1));
+        this.passages = new Set();
+
+        switch (this.algorithm) {
+            case 'prims':
+                this._graphPrims();
+                break;
+            case 'kruskals':
+                this._graphKruskals();
+                break;
+            case 'huntandkill':
+                this._graphHuntAndKill();
+                break;
+            case 'wilsons':
+                this._graphWilsons();
+                break;
+            case 'aldousbroder':
+                this._graphAldousBroder();
+                break;
+            case 'growingtree':
+                this._graphGrowingTree();
+                break;
+            default:
+                this._graphBacktracking();
+        }
+
+        this.grid[this.start.y][this.start.x] = 2;
+        this.grid[this.end.y][this.end.x] = 3;
+
+        this._braidPassages(this.braidAmount);
+        this._addPassageLoops(this.loopAmount);
+        this._scatterTerrain(this.terrainDensity);
+
+        return this;
+    }
+
+    /**
+     * Depth-first walk with an explicit stack
+     */
+    _graphBacktracking() {
+        const visited = new Set([this._cellKey(this.start)]);
+        const stack = [this.start];
+
+        while (stack.length > 0) {
+            const current = stack[stack.length - 1];
+            const unvisited = this.topology.neighbors(current.x, current.y)
+                .filter(cell => !visited.has(this._cellKey(cell)));
+
+            if (unvisited.length === 0) {
+                stack.pop();
+                continue;
+            }
+
+            const next = this.rng.pick(unvisited);
+            this._openPassage(current, next);
+            visited.add(this._cellKey(next));
+            stack.push(next);
+        }
+    }
+
+    /**
+     * Grow the tree from the start through a random frontier side
+     */
+    _graphPrims() {
+        const visited = new Set([this._cellKey(this.start)]);
+        const frontier = this.topology.neighbors(this.start.x, this.start.y)
+            .map(cell => [this.start, cell]);
+
+        while (frontier.length > 0) {
+            const index = this.rng.nextInt(frontier.length);
+            const [from, to] = frontier[index];
+            frontier[index] = frontier[frontier.length - 1];
+            frontier.pop();
+
+            if (visited.has(this._cellKey(to))) continue;
+
+            this._openPassage(from, to);
+            visited.add(this._cellKey(to));
+            for (const cell of this.topology.neighbors(to.x, to.y)) {
+                if (!visited.has(this._cellKey(cell))) frontier.push([to, cell]);
+            }
+        }
+    }
+
+    /**
+     * Open the shuffled sides that join two different sets
+     */
+    _graphKruskals() {
+        const parent = new Map();
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+
+        for (const cell of this.topology.cells()) {
+            parent.set(this._cellKey(cell), this._cellKey(cell));
+        }
+
+        for (const [a, b] of this._shuffle(this._innerSides())) {
+            const rootA = find(this._cellKey(a));
+            const rootB = find(this._cellKey(b));
+            if (rootA !== rootB) {
+                parent.set(rootA, rootB);
+                this._openPassage(a, b);
+            }
+        }
+    }
+
+    /**
+     * Random walk until stuck, then hunt row by row for an unvisited cell
+     * next to the visited area
+     */
+    _graphHuntAndKill() {
+        const visited = new Set([this._cellKey(this.start)]);
+        const isVisited = (cell) => visited.has(this._cellKey(cell));
+        let current = this.start;
+
+        while (current) {
+            const unvisited = this.topology.neighbors(current.x, current.y).filter(cell => !isVisited(cell));
+
+            if (unvisited.length > 0) {
+                const next = this.rng.pick(unvisited);
+                this._openPassage(current, next);
+                visited.add(this._cellKey(next));
+                current = next;
+                continue;
+            }
+
+            current = null;
+            for (const cell of this.topology.cells()) {
+                if (isVisited(cell)) continue;
+                const visitedNeighbors = this.topology.neighbors(cell.x, cell.y).filter(isVisited);
+                if (visitedNeighbors.length > 0) {
+                    this._openPassage(cell, this.rng.pick(visitedNeighbors));
+                    visited.add(this._cellKey(cell));
+                    current = cell;
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Loop-erased random walks from every cell until they reach the tree
+     */
+    _graphWilsons() {
+        const inTree = new Set([this._cellKey(this.start)]);
+
+        for (const cell of this._shuffle(this.topology.cells())) {
+            const exits = new Map();
+            let current = cell;
+            while (!inTree.has(this._cellKey(current))) {
+                const next = this.rng.pick(this.topology.neighbors(current.x, current.y));
+                exits.set(this._cellKey(current), next);
+                current = next;
+            }
+
+            current = cell;
+            while (!inTree.has(this._cellKey(current))) {
+                const next = exits.get(this._cellKey(current));
+                this._openPassage(current, next);
+                inTree.add(this._cellKey(current));
+                current = next;
+            }
+        }
+    }
+
+    /**
+     * Random walk that opens the side into every cell it enters first
+     */
+    _graphAldousBroder() {
+        const visited = new Set([this._cellKey(this.start)]);
+        const total = this.topology.cells().length;
+        let current = this.start;
+
+        while (visited.size < total) {
+            const next = this.rng.pick(this.topology.neighbors(current.x, current.y));
+            if (!visited.has(this._cellKey(next))) {
+                this._openPassage(current, next);
+                visited.add(this._cellKey(next));
+            }
+            current = next;
+        }
+    }
+
+    /**
+     * Grow from the active cell the strategy picks until none is left
+     */
+    _graphGrowingTree() {
+        const visited = new Set([this._cellKey(this.start)]);
+        const active = [this.start];
+
+        while (active.length > 0) {
+            const index = this._growingTreeIndex(active.length);
+            const current = active[index];
+            const unvisited = this.topology.neighbors(current.x, current.y)
+                .filter(cell => !visited.has(this._cellKey(cell)));
+
+            if (unvisited.length === 0) {
+                active.splice(index, 1);
+                continue;
+            }
+
+            const next = this.rng.pick(unvisited);
+            this._openPassage(current, next);
+            visited.add(this._cellKey(next));
+            active.push(next);
+        }
+    }
+
+    /**
+     * Every pair of adjacent cells, once
+     */
+    _innerSides() {
+        const sides = [];
+        for (const cell of this.topology.cells()) {
+            for (const neighbor of this.topology.neighbors(cell.x, cell.y)) {
+                if (this._cellKey(cell) < this._cellKey(neighbor)) sides.push([cell, neighbor]);
+            }
+        }
+        return sides;
+    }
+
+    /**
+     * Topology version of _braid: open a closed side of a fraction of the
+     * dead ends, preferring one that leads into another dead end
+     */
+    _braidPassages(fraction) {
+        if (fraction <= 0) return;
+
+        const deadEnds = this._shuffle(this.topology.cells()
+            .filter(cell => this.getNeighbors(cell.x, cell.y).length === 1));
+
+        for (const cell of deadEnds) {
+            if (this.getNeighbors(cell.x, cell.y).length !== 1) continue;
+            if (this.rng.next() >= fraction) continue;
+
+            const candidates = this.topology.neighbors(cell.x, cell.y)
+                .filter(neighbor => !this.hasPassage(cell, neighbor));
+            if (candidates.length === 0) continue;
+
+            const deadEndNeighbors = candidates.filter(n => this.getNeighbors(n.x, n.y).length === 1);
+            this._openPassage(cell, this.rng.pick(deadEndNeighbors.length > 0 ? deadEndNeighbors : candidates));
+        }
+    }
+
+    /**
+     * Topology version of _addLoops: open a fraction of the closed inner sides
+     */
+    _addPassageLoops(fraction) {
+        if (fraction <= 0) return;
+
+        const closed = this._shuffle(this._innerSides().filter(([a, b]) => !this.hasPassage(a, b)));
+        const count = Math.round(closed.length * Math.min(fraction, 1));
+        for (let i = 0; i < count; i++) {
+            this._openPassage(...closed[i]);
+        }
+    }
+
+    /**
+     * True if the side between two adjacent topology cells is open
+     */
+    hasPassage(a, b) {
+        return this.passages.has(this._passageKey(a, b));
+    }
+
+    _openPassage(a, b) {
+        this.passages.add(this._passageKey(a, b));
+    }
+
+    /**
+     * Same key whichever end the passage is seen from
+     */
+    _passageKey(a, b) {
+        const keyA = this._cellKey(a);
+        const keyB = this._cellKey(b);
+        return keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+    }
+
+    _cellKey(cell) {
+        return `${cell.x},${cell.y}`;
+    }
+
+    // ==========================================
+    // BRAIDING
+    // ==========================================
+
+    /**
+     * Remove a fraction of the dead ends by knocking through one of
+     * their walls, preferring a wall that also fixes a neighboring dead end
+     */
+    _braid(fraction) {
+        if (fraction <= 0) return;
+
+        const deadEnds = this._shuffle(this._findDeadEnds());
+
+        for (const [x, y] of deadEnds) {
+            // An earlier removal may already have opened this one
+            if (this._countOpenSides(x, y) !== 1) continue;
+            if (this.rng.next() >= fraction) continue;
+
+            const candidates = [];
+            for (const [dx, dy] of [[0, -2], [2, 0], [0, 2], [-2, 0]]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (!this._isInBounds(nx, ny) || this.grid[ny][nx] === 0) continue;
+                if (this.grid[y + dy / 2][x + dx / 2] !== 0) continue;
+                candidates.push([nx, ny]);
+            }
+            if (candidates.length === 0) continue;
+
+            const deadEndNeighbors = candidates.filter(([nx, ny]) => this._countOpenSides(nx, ny) === 1);
+            const [nx, ny] = this.rng.pick(deadEndNeighbors.length > 0 ? deadEndNeighbors : candidates);
+            this.grid[(y + ny) / 2][(x + nx) / 2] = 1;
+        }
+    }
+
+    /**
+     * Knock down a fraction of the inner walls that separate two open cells
+     */
+    _addLoops(fraction) {
+        if (fraction <= 0) return;
+
+        const walls = [];
+        for (let y = 1; y < this.size - 1; y++) {
+            for (let x = 1; x < this.size - 1; x++) {
+                if (this.grid[y][x] !== 0) continue;
+
+                const separatesRow = x % 2 === 0 && y % 2 === 1 &&
+                    this.isWalkable(x - 1, y) && this.isWalkable(x + 1, y);
+                const separatesColumn = x % 2 === 1 && y % 2 === 0 &&
+                    this.isWalkable(x, y - 1) && this.isWalkable(x, y + 1);
+
+                if (separatesRow || separatesColumn) walls.push([x, y]);
+            }
+        }
+
+        this._shuffle(walls);
+        const count = Math.round(walls.length * Math.min(fraction, 1));
+        for (let i = 0; i < count; i++) {
+            const [x, y] = walls[i];
+            this.grid[y][x] = 1;
+        }
+    }
+
+    /**
+     * Cells (odd coordinates) with exactly one open side
+     */
+    _findDeadEnds() {
+        const deadEnds = [];
+        for (let y = 1; y < this.size - 1; y += 2) {
+            for (let x = 1; x < this.size - 1; x += 2) {
+                if (this.grid[y][x] !== 0 && this._countOpenSides(x, y) === 1) {
+                    deadEnds.push([x, y]);
+                }
+            }
+        }
+        return deadEnds;
+    }
+
+    _countOpenSides(x, y) {
+        return Maze.DIRECTIONS.filter(([dx, dy]) => this.isWalkable(x + dx, y + dy)).length;
+    }
+
+    // ==========================================
+    // TERRAIN
+    // ==========================================
+
+    /**
+     * Paint blob-shaped regions of sand, mud and water over path cells
+     * Regions grow by flood fill so they follow the corridors
+     */
+    _scatterTerrain(density) {
+        if (density <= 0) return;
+
+        const cells = [];
+        for (let y = 0; y < this.grid.length; y++) {
+            for (let x = 0; x < this.grid[y].length; x++) {
+                if (this.grid[y][x] === 1) cells.push([x, y]);
+            }
+        }
+
+        const target = Math.floor(cells.length * Math.min(density, 1));
+        const types = Object.keys(Maze.TERRAIN).map(Number);
+        let painted = 0;
+        let attempts = 0;
+
+        while (painted < target && attempts < cells.length) {
+            attempts++;
+            const [sx, sy] = this.rng.pick(cells);
+            if (this.grid[sy][sx] !== 1) continue;
+
+            const type = this.rng.pick(types);
+            const regionSize = Math.min(3 + this.rng.nextInt(10), target - painted);
+            const queue = [[sx, sy]];
+            let head = 0;
+            let regionPainted = 0;
+
+            while (head < queue.length && regionPainted < regionSize) {
+                const [x, y] = queue[head++];
+                if (this.grid[y][x] !== 1) continue;
+
+                this.grid[y][x] = type;
+                regionPainted++;
+
+                for (const [nx, ny] of this._shuffle(this._floodNeighbors(x, y))) {
+                    if (this._isInBounds(nx, ny) && this.grid[ny][nx] === 1) {
+                        queue.push([nx, ny]);
+                    }
+                }
+            }
+
+            painted += regionPainted;
+        }
+    }
+
+    /**
+     * Cells a terrain region can spread to: the orthogonal cells, or the
+     * cells through open passages on a topology
+     */
+    _floodNeighbors(x, y) {
+        if (this.topology) return this.getNeighbors(x, y).map(cell => [cell.x, cell.y]);
+        return Maze.DIRECTIONS.map(([dx, dy]) => [x + dx, y + dy]);
+    }
+
+    /**
+     * Movement cost for entering a cell
+     */
+    getCost(x, y) {
+        const terrain = Maze.TERRAIN[this.getCell(x, y)];
+        return terrain ? terrain.cost : 1;
+    }
+
+    /**
+     * Cost of one step between adjacent cells: the entered cell's terrain
+     * cost, times √2 for a diagonal step (topology steps all have length 1)
+     */
+    getMoveCost(from, to) {
+        const cost = this.getCost(to.x, to.y);
+        if (this.topology) return cost;
+        return from.x !== to.x && from.y !== to.y ? cost * Math.SQRT2 : cost;
+    }
+
+    // ==========================================
+    // MOVEMENT
+    // ==========================================
+
+    /**
+     * Switch between 4-connected and 8-connected movement
+     */
+    setMovement(diagonal, cornerRule = this.cornerRule) {
+        this.diagonal = diagonal;
+        this.cornerRule = cornerRule;
+    }
+
+    /**
+     * Can a diagonal step (dx, dy) from (x, y) be taken under the corner rule
+     * The target must be open; the two cells it slips between decide the rest
+     */
+    canMoveDiagonally(x, y, dx, dy) {
+        if (!this.isWalkable(x + dx, y + dy)) return false;
+
+        const blocked = (this.isWalkable(x + dx, y) ? 0 : 1) + (this.isWalkable(x, y + dy) ? 0 : 1);
+        return blocked <= Maze.CORNER_RULES[this.cornerRule].maxBlocked;
+    }
+
+    // ==========================================
+    // EDITING
+    // ==========================================
+
+    /**
+     * Check if a cell can be edited (outer border always stays a wall)
+     */
+    isEditable(x, y) {
+        return this._isInBounds(x, y);
+    }
+
+    /**
+     * Turn a cell into a wall or an open path
+     * Start and end cells can't be walled over
+     * Returns true if the grid changed
+     */
+    setWall(x, y, isWall) {
+        // Topology walls are sides, not cells
+        if (this.topology || !this.isEditable(x, y)) return false;
+
+        const cell = this.grid[y][x];
+        if (cell === 2 || cell === 3 || cell === 7) return false;
+        if (isWall === (cell === 0)) return false;
+
+        this.grid[y][x] = isWall ? 0 : 1;
+        return true;
+    }
+
+    /**
+     * Move the start marker to a walkable cell
+     */
+    moveStart(x, y) {
+        return this._moveEndpoint(this.start, 2, x, y);
+    }
+
+    /**
+     * Move the end marker to a walkable cell
+     */
+    moveEnd(x, y) {
+        return this._moveEndpoint(this.end, 3, x, y);
+    }
+
+    _moveEndpoint(point, type, x, y) {
+        if (!this.isEditable(x, y)) return false;
+
+        const cell = this.grid[y][x];
+        if (cell === 0 || cell === 2 || cell === 3 || cell === 7) return false;
+
+        // Give the old cell back its terrain and remember the new one's
+        this.grid[point.y][point.x] = this.covered[type] ?? 1;
+        this.covered[type] = cell;
+        point.x = x;
+        point.y = y;
+        this.grid[y][x] = type;
+        return true;
+    }
+
     // ==========================================
     // UTILITY METHODS
     // ==========================================
@@ -474,28 +1329,49 @@ class Maze {
 
     _shuffle(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.rng.nextInt(i + 1);
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
     }
 
+    /**
+     * Inner cells of the square grid (the border of every floor stays a
+     * wall), any cell of a topology
+     */
     _isInBounds(x, y) {
-        return x > 0 && x < this.size - 1 && y > 0 && y < this.size - 1;
+        if (this.topology) return this.topology.contains(x, y);
+        if (x < 0 || x >= this.size * this.floors) return false;
+
+        const localX = x % this.size;
+        return localX > 0 && localX < this.size - 1 && y > 0 && y < this.size - 1;
+    }
+
+    _isInGrid(x, y) {
+        return y >= 0 && y < this.grid.length && x >= 0 && x < this.grid[y].length;
     }
 
     isWalkable(x, y) {
-        if (x < 0 || x >= this.size || y < 0 || y >= this.size) {
+        if (!this._isInGrid(x, y)) {
             return false;
         }
         return this.grid[y][x] !== 0;
     }
 
+    /**
+     * Open cells reachable in one step: the 4 orthogonal ones, then the
+     * diagonal ones the corner rule allows when diagonal movement is on,
+     * then the other ends of stairs
+     * On a topology, the adjacent cells through open passages
+     */
     getNeighbors(x, y) {
+        if (this.topology) {
+            return this.topology.neighbors(x, y).filter(cell => this.hasPassage({ x, y }, cell));
+        }
+
         const neighbors = [];
-        const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
 
-        for (const [dx, dy] of directions) {
+        for (const [dx, dy] of Maze.DIRECTIONS) {
             const nx = x + dx;
             const ny = y + dy;
             if (this.isWalkable(nx, ny)) {
@@ -503,11 +1379,68 @@ class Maze {
             }
         }
 
+        if (this.diagonal) {
+            for (const [dx, dy] of Maze.DIAGONALS) {
+                if (this.canMoveDiagonally(x, y, dx, dy)) {
+                    neighbors.push({ x: x + dx, y: y + dy });
+                }
+            }
+        }
+
+        neighbors.push(...this.getFloorLinks(x, y));
+
         return neighbors;
     }
 
+    /**
+     * Breadth-first step count from a cell to every reachable cell
+     * Returns a Map keyed by "x,y"
+     */
+    getDistances(origin) {
+        const distances = new Map([[`${origin.x},${origin.y}`, 0]]);
+        const queue = [origin];
+        let head = 0;
+
+        while (head < queue.length) {
+            const current = queue[head++];
+            const distance = distances.get(`${current.x},${current.y}`);
+
+            for (const neighbor of this.getNeighbors(current.x, current.y)) {
+                const key = `${neighbor.x},${neighbor.y}`;
+                if (!distances.has(key)) {
+                    distances.set(key, distance + 1);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * True if every cell on the Bresenham line between a and b is open
+     */
+    hasLineOfSight(a, b) {
+        let x = a.x;
+        let y = a.y;
+        const dx = Math.abs(b.x - x);
+        const dy = -Math.abs(b.y - y);
+        const sx = x < b.x ? 1 : -1;
+        const sy = y < b.y ? 1 : -1;
+        let err = dx + dy;
+
+        while (x !== b.x || y !== b.y) {
+            if (!this.isWalkable(x, y)) return false;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+        }
+
+        return this.isWalkable(x, y);
+    }
+
     getCell(x, y) {
-        if (x < 0 || x >= this.size || y < 0 || y >= this.size) {
+        if (!this._isInGrid(x, y)) {
             return 0;
         }
         return this.grid[y][x];
@@ -519,7 +1452,8 @@ class Maze {
             grid: this.grid,
             start: this.start,
             end: this.end,
-            algorithm: this.algorithm
+            algorithm: this.algorithm,
+            seed: this.seed
         };
     }
 
@@ -527,47 +1461,119 @@ class Maze {
      * Get algorithm description
      */
     static getAlgorithmInfo(algorithm) {
-        const info = {
-            backtracking: {
-                name: 'Recursive Backtracking',
-                description: 'Crea corredores largos y sinuosos. Basado en DFS.',
-                complexity: 'Media'
-            },
-            prims: {
-                name: "Prim's Algorithm",
-                description: 'Laberintos con más ramificaciones. Basado en MST.',
-                complexity: 'Alta'
-            },
-            kruskals: {
-                name: "Kruskal's Algorithm",
-                description: 'Laberintos uniformemente aleatorios. Usa Union-Find.',
-                complexity: 'Alta'
-            },
-            ellers: {
-                name: "Eller's Algorithm",
-                description: 'Genera fila por fila. Eficiente en memoria.',
-                complexity: 'Media'
-            },
-            binary: {
-                name: 'Binary Tree',
-                description: 'Muy rápido. Crea textura diagonal característica.',
-                complexity: 'Baja'
-            },
-            sidewinder: {
-                name: 'Sidewinder',
-                description: 'Similar a Binary Tree con más variedad.',
-                complexity: 'Baja'
-            },
-            huntandkill: {
-                name: 'Hunt and Kill',
-                description: 'Crea pasajes largos. Similar a backtracking.',
-                complexity: 'Media'
-            }
-        };
-        return info[algorithm] || info.backtracking;
+        return Maze.ALGORITHM_INFO[algorithm] || Maze.ALGORITHM_INFO.backtracking;
+    }
+
+    /**
+     * Ids of every generation algorithm
+     */
+    static getAlgorithms() {
+        return Object.keys(Maze.ALGORITHM_INFO);
     }
 }
 
+/**
+ * Generation algorithm descriptions keyed by id
+ */
+Maze.ALGORITHM_INFO = {
+    backtracking: {
+        name: 'Recursive Backtracking',
+        description: 'Crea corredores largos y sinuosos. Basado en DFS.',
+        complexity: 'Media'
+    },
+    prims: {
+        name: "Prim's Algorithm",
+        description: 'Laberintos con más ramificaciones. Basado en MST.',
+        complexity: 'Alta'
+    },
+    kruskals: {
+        name: "Kruskal's Algorithm",
+        description: 'Laberintos uniformemente aleatorios. Usa Union-Find.',
+        complexity: 'Alta'
+    },
+    ellers: {
+        name: "Eller's Algorithm",
+        description: 'Genera fila por fila. Eficiente en memoria.',
+        complexity: 'Media'
+    },
+    binary: {
+        name: 'Binary Tree',
+        description: 'Muy rápido. Crea textura diagonal característica.',
+        complexity: 'Baja'
+    },
+    sidewinder: {
+        name: 'Sidewinder',
+        description: 'Similar a Binary Tree con más variedad.',
+        complexity: 'Baja'
+    },
+    huntandkill: {
+        name: 'Hunt and Kill',
+        description: 'Crea pasajes largos. Similar a backtracking.',
+        complexity: 'Media'
+    },
+    wilsons: {
+        name: "Wilson's Algorithm",
+        description: 'Caminatas aleatorias sin bucles. Uniforme, sin sesgo.',
+        complexity: 'Alta'
+    },
+    aldousbroder: {
+        name: 'Aldous-Broder',
+        description: 'Caminata aleatoria pura. Uniforme, pero lento al final.',
+        complexity: 'Alta'
+    },
+    growingtree: {
+        name: 'Growing Tree',
+        description: 'Crece desde celdas activas. La estrategia decide la textura.',
+        complexity: 'Media'
+    },
+    division: {
+        name: 'Recursive Division',
+        description: 'Añade muros en vez de cavar. Cámaras y muros rectos.',
+        complexity: 'Media'
+    }
+};
+
+// Generators that work on any cell graph, so also on hex, triangle and polar grids
+Maze.GRAPH_ALGORITHMS = ['backtracking', 'prims', 'kruskals', 'huntandkill', 'wilsons', 'aldousbroder', 'growingtree'];
+
+/**
+ * Growing Tree strategies: which active cell grows next
+ */
+Maze.GROWING_TREE_STRATEGIES = {
+    newest: { name: 'Más reciente (como backtracking)' },
+    random: { name: 'Aleatoria (como Prim)' },
+    oldest: { name: 'Más antigua' },
+    mix: { name: 'Mezcla reciente / aleatoria' }
+};
+
+// Orthogonal steps: north, east, south, west
+Maze.DIRECTIONS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// Diagonal steps: north-east, south-east, south-west, north-west
+Maze.DIAGONALS = [[1, -1], [1, 1], [-1, 1], [-1, -1]];
+
+/**
+ * Corner-cutting rules for diagonal steps
+ * maxBlocked: how many of the two side cells may be walls
+ */
+Maze.CORNER_RULES = {
+    never: { name: 'Sin cortar esquinas', maxBlocked: 0 },
+    single: { name: 'Rozando una esquina', maxBlocked: 1 },
+    always: { name: 'Entre dos muros', maxBlocked: 2 }
+};
+
+// Stairs between each pair of neighboring floors
+Maze.STAIRS_PER_FLOOR = 3;
+
+/**
+ * Weighted terrain types keyed by cell value
+ */
+Maze.TERRAIN = {
+    4: { name: 'Arena', cost: 2 },
+    5: { name: 'Barro', cost: 3 },
+    6: { name: 'Agua', cost: 5 }
+};
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Maze;
@@ -20,6 +20,14 @@ class NPC {
         this.size = 0.7;
         this.color = '#ec4899';
         this.glowColor = 'rgba(236, 72, 153, 0.5)';
+        this.innerColor = '#f472b6';
+        this.label = null; // Text drawn above the NPC (e.g. its behavior state)
+
+        // Hex, triangle or polar maze topology; steps are measured on it
+        this.topology = null;
+
+        // Columns per floor on multi-level mazes: a step that long takes stairs
+        this.floorSize = null;
 
         // State
         this.isMoving = false;
@@ -45,6 +53,15 @@ class NPC {
         }
     }
 
+    /**
+     * Switch to a new path mid-walk without interrupting the current step
+     * The path must start at the cell the NPC is heading to
+     */
+    replacePath(path) {
+        this.currentPath = path;
+        this.pathIndex = 0;
+    }
+
     /**
      * Move to next point in path
      * Returns true if there are more points, false if finished
@@ -57,15 +74,22 @@ class NPC {
 
         this.pathIndex++;
         const nextPoint = this.currentPath[this.pathIndex];
+        this.moveTo(nextPoint.x, nextPoint.y);
+
+        return true;
+    }
 
+    /**
+     * Start an animated step from the current cell to (x, y)
+     * Used directly when the route is decided one step at a time
+     */
+    moveTo(x, y) {
         this.x = this.targetX;
         this.y = this.targetY;
-        this.targetX = nextPoint.x;
-        this.targetY = nextPoint.y;
+        this.targetX = x;
+        this.targetY = y;
         this.animationProgress = 0;
         this.isMoving = true;
-
-        return true;
     }
 
     /**
@@ -79,11 +103,30 @@ class NPC {
 
         // Update movement animation
         if (this.animationProgress < 1) {
-            this.animationProgress += this.animationSpeed;
+            const isClimb = this.floorSize !== null && Math.abs(this.targetX - this.x) >= this.floorSize;
+
+            // Same speed in cells per frame whatever the step length (√2 diagonally)
+            let distance;
+            if (isClimb) {
+                distance = 1;
+            } else if (this.topology) {
+                distance = this.topology.stepLength(this, { x: this.targetX, y: this.targetY });
+            } else {
+                distance = Math.hypot(this.targetX - this.x, this.targetY - this.y);
+            }
+            this.animationProgress += this.animationSpeed / (distance || 1);
             if (this.animationProgress > 1) {
                 this.animationProgress = 1;
             }
 
+            if (isClimb) {
+                // Don't glide over the floors in between: switch halfway
+                const arrived = this.animationProgress >= 0.5;
+                this.displayX = arrived ? this.targetX : this.x;
+                this.displayY = arrived ? this.targetY : this.y;
+                return true;
+            }
+
             // Smooth easing
             const t = this._easeInOutQuad(this.animationProgress);
             this.displayX = this.x + (this.targetX - this.x) * t;
@@ -125,6 +168,15 @@ class NPC {
         this.isMoving = false;
     }
 
+    /**
+     * Use one of NPC.COLORS
+     */
+    setColors({ body, glow, inner }) {
+        this.color = body;
+        this.glowColor = glow;
+        this.innerColor = inner;
+    }
+
     /**
      * Set animation speed (1-100)
      */
@@ -152,19 +204,37 @@ class NPC {
 
     /**
      * Get NPC render data
+     * from, to and progress let the renderer place the NPC on topology
+     * grids, where cell coordinates can't be interpolated directly
      */
     getRenderData() {
         return {
             x: this.displayX,
             y: this.displayY + this.bounceOffset,
+            from: { x: this.x, y: this.y },
+            to: { x: this.targetX, y: this.targetY },
+            progress: this._easeInOutQuad(this.animationProgress),
+            bounce: this.bounceOffset,
             size: this.size,
             color: this.color,
             glowColor: this.glowColor,
+            innerColor: this.innerColor,
+            label: this.label,
             isMoving: this.isMoving
         };
     }
 }
 
+// Palette for multi-agent runs; the first entry is the default NPC look
+NPC.COLORS = [
+    { body: '#ec4899', glow: 'rgba(236, 72, 153, 0.5)', inner: '#f472b6' },
+    { body: '#06b6d4', glow: 'rgba(6, 182, 212, 0.5)', inner: '#67e8f9' },
+    { body: '#f59e0b', glow: 'rgba(245, 158, 11, 0.5)', inner: '#fcd34d' },
+    { body: '#10b981', glow: 'rgba(16, 185, 129, 0.5)', inner: '#6ee7b7' },
+    { body: '#8b5cf6', glow: 'rgba(139, 92, 246, 0.5)', inner: '#c4b5fd' },
+    { body: '#f97316', glow: 'rgba(249, 115, 22, 0.5)', inner: '#fdba74' }
+];
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = NPC;
@@ -0,0 +1,221 @@
+/**
+ * Q-Learner
+ * Tabular reinforcement learning on the maze grid: every open cell is a
+ * state, the moves to open neighbors are its actions (the agent sees the
+ * walls around it). Episodes start at maze.start and end at maze.end or
+ * after maxSteps. Supports off-policy Q-learning and on-policy SARSA
+ */
+
+class QLearner {
+    /**
+     * options: { method: 'qlearning' | 'sarsa', alpha, gamma,
+     *   epsilon, epsilonMin, epsilonDecay, rewards: { goal, step } }
+     * The step reward is multiplied by the terrain cost of the cell entered
+     */
+    constructor(maze, options = {}) {
+        this.maze = maze;
+        this.options = {
+            ...QLearner.DEFAULTS,
+            ...options,
+            rewards: { ...QLearner.DEFAULTS.rewards, ...options.rewards }
+        };
+        this.rng = new SeededRandom(`${maze.seed}-${this.options.method}`);
+
+        const openCells = maze.grid.flat().filter(cell => cell !== 0).length;
+        this.maxSteps = openCells * QLearner.MAX_STEPS_FACTOR;
+
+        // Open actions of every state, looked up on each step
+        this.actions = [];
+        for (let state = 0; state < maze.size * maze.size; state++) {
+            const { x, y } = this._cell(state);
+            this.actions.push([0, 1, 2, 3].filter(action => {
+                const [dx, dy] = QLearner.ACTIONS[action];
+                return maze.isWalkable(x + dx, y + dy);
+            }));
+        }
+
+        this.q = new Float64Array(maze.size * maze.size * 4);
+        this.visits = new Uint32Array(maze.size * maze.size);
+        this.epsilon = this.options.epsilon;
+        this.episode = 0;
+        this.totalSteps = 0;
+
+        // Learning curve: one entry per episode
+        this.history = []; // [{ steps, reward, reached }]
+    }
+
+    /**
+     * Run one training episode and decay epsilon
+     * Returns { steps, reward, reached }
+     */
+    runEpisode() {
+        const { method, alpha, gamma } = this.options;
+        const goal = this._state(this.maze.end);
+        let state = this._state(this.maze.start);
+        let action = this._chooseAction(state, this.epsilon);
+        let steps = 0;
+        let reward = 0;
+
+        this.visits[state]++;
+
+        // A walled-in start (possible after editing) has no actions at all
+        while (state !== goal && steps < this.maxSteps && this.actions[state].length > 0) {
+            const { next, reward: r } = this._act(state, action);
+            const done = next === goal;
+            const nextAction = this._chooseAction(next, this.epsilon);
+
+            // Q-learning bootstraps from the best action, SARSA from the one it will take
+            let target = r;
+            if (!done) {
+                target += gamma * (method === 'sarsa'
+                    ? this.q[next * 4 + nextAction]
+                    : this._maxQ(next));
+            }
+
+            const index = state * 4 + action;
+            this.q[index] += alpha * (target - this.q[index]);
+
+            state = next;
+            action = nextAction;
+            steps++;
+            reward += r;
+            this.visits[state]++;
+        }
+
+        this.episode++;
+        this.totalSteps += steps;
+        this.epsilon = Math.max(this.options.epsilonMin, this.epsilon * this.options.epsilonDecay);
+
+        const result = { steps, reward, reached: state === goal };
+        this.history.push(result);
+        return result;
+    }
+
+    /**
+     * Follow the best action from the start without exploring
+     * Returns { path, reached }; stops on a loop or after maxSteps
+     */
+    greedyPath() {
+        const goal = this._state(this.maze.end);
+        let state = this._state(this.maze.start);
+        const path = [this._cell(state)];
+        const seen = new Set([state]);
+
+        while (state !== goal && path.length <= this.maxSteps) {
+            if (this.actions[state].length === 0) break;
+            const { next } = this._act(state, this._bestAction(state, false));
+            if (seen.has(next)) break;
+
+            seen.add(next);
+            path.push(this._cell(next));
+            state = next;
+        }
+
+        return { path, reached: state === goal };
+    }
+
+    /**
+     * Max Q-value of every cell visited during training, keyed "x,y"
+     */
+    getValueMap() {
+        const values = new Map();
+        for (let state = 0; state < this.visits.length; state++) {
+            if (this.visits[state] === 0) continue;
+            const { x, y } = this._cell(state);
+            values.set(`${x},${y}`, this._maxQ(state));
+        }
+
+        // The goal is terminal and never updated: show it as the best cell
+        const goal = this.maze.end;
+        const best = Math.max(...values.values());
+        if (values.has(`${goal.x},${goal.y}`)) values.set(`${goal.x},${goal.y}`, best);
+
+        return values;
+    }
+
+    // ==========================================
+    // ENVIRONMENT
+    // ==========================================
+
+    _act(state, action) {
+        const { x, y } = this._cell(state);
+        const [dx, dy] = QLearner.ACTIONS[action];
+        const { rewards } = this.options;
+
+        const next = this._state({ x: x + dx, y: y + dy });
+        if (x + dx === this.maze.end.x && y + dy === this.maze.end.y) {
+            return { next, reward: rewards.goal };
+        }
+        return { next, reward: rewards.step * this.maze.getCost(x + dx, y + dy) };
+    }
+
+    /**
+     * Epsilon-greedy action
+     */
+    _chooseAction(state, epsilon) {
+        if (this.rng.next() < epsilon) return this.rng.pick(this.actions[state]);
+        return this._bestAction(state, true);
+    }
+
+    /**
+     * Open action with the highest Q-value; ties are broken at random while
+     * training and by action order when following the policy
+     */
+    _bestAction(state, randomTies) {
+        const base = state * 4;
+        let best = [];
+        let bestValue = -Infinity;
+        for (const action of this.actions[state]) {
+            const value = this.q[base + action];
+            if (value > bestValue) {
+                best = [action];
+                bestValue = value;
+            } else if (value === bestValue) {
+                best.push(action);
+            }
+        }
+        return randomTies ? this.rng.pick(best) : best[0];
+    }
+
+    _maxQ(state) {
+        let best = -Infinity;
+        for (const action of this.actions[state]) {
+            best = Math.max(best, this.q[state * 4 + action]);
+        }
+        return best;
+    }
+
+    _state(cell) {
+        return cell.y * this.maze.size + cell.x;
+    }
+
+    _cell(state) {
+        return { x: state % this.maze.size, y: Math.floor(state / this.maze.size) };
+    }
+}
+
+QLearner.DEFAULTS = {
+    method: 'qlearning',
+    alpha: 0.8,
+    gamma: 0.99,
+    epsilon: 1,
+    epsilonMin: 0.01,
+    epsilonDecay: 0.99,
+    rewards: { goal: 100, step: -1 }
+};
+
+// Clockwise: north, east, south, west
+QLearner.ACTIONS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// Episodes are cut after this many steps per open cell
+QLearner.MAX_STEPS_FACTOR = 4;
+
+QLearner.METHODS = {
+    qlearning: 'Q-learning',
+    sarsa: 'SARSA'
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QLearner;
+}
@@ -0,0 +1,191 @@
+/**
+ * Race Mode
+ * Runs several solvers on the same maze side by side, one expansion
+ * per tick for every lane, then compares their metrics
+ */
+
+class RaceMode {
+    constructor(container, table) {
+        this.container = container;
+        this.table = table;
+        this.lanes = [];
+        this.isRunning = false;
+        this.stepDelay = 50;
+        this.animationFrameId = null;
+        this.lastStepTime = 0;
+
+        // Called when every lane has finished
+        this.onComplete = null;
+    }
+
+    /**
+     * Solve the maze with each algorithm and start the lockstep animation
+     * algorithms: [{ id, name }]
+     * search: { heuristic, weight } for the informed solvers
+     */
+    start(maze, algorithms, search = {}) {
+        this.stop();
+        this.container.innerHTML = '';
+        this.table.innerHTML = '';
+
+        const pathfinder = new PathfindingAlgorithms(maze);
+        Object.assign(pathfinder, search);
+        const laneSize = this._laneCanvasSize(algorithms.length);
+
+        this.lanes = algorithms.map(({ id, name }) => {
+            const startTime = performance.now();
+            const result = pathfinder.solve(id, maze.start, maze.end);
+            const time = performance.now() - startTime;
+
+            const lane = document.createElement('div');
+            lane.className = 'race-lane';
+            const title = document.createElement('div');
+            title.className = 'race-lane-title';
+            title.textContent = name;
+            const counter = document.createElement('span');
+            counter.className = 'race-lane-counter';
+            counter.textContent = '0';
+            title.appendChild(counter);
+            const canvas = document.createElement('canvas');
+            lane.append(title, canvas);
+            this.container.appendChild(lane);
+
+            const renderer = new Renderer(canvas);
+            renderer.init(maze, laneSize);
+            renderer.renderMaze();
+            renderer.setSolutionPath(result.path);
+
+            return {
+                id,
+                name,
+                result,
+                renderer,
+                counter,
+                stepIndex: 0,
+                done: false,
+                metrics: {
+                    nodesVisited: result.visited.length,
+                    pathLength: result.path.length,
+                    pathCost: pathfinder.getPathCost(result.path),
+                    time
+                }
+            };
+        });
+
+        this.isRunning = true;
+        this.lastStepTime = 0;
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    /**
+     * Remove lanes and results
+     */
+    clear() {
+        this.stop();
+        this.lanes = [];
+        this.container.innerHTML = '';
+        this.table.innerHTML = '';
+    }
+
+    setSpeed(stepDelay) {
+        this.stepDelay = stepDelay;
+    }
+
+    /**
+     * Fit 2 lanes per row inside roughly the space of the main canvas
+     */
+    _laneCanvasSize(count) {
+        const available = Math.min(window.innerWidth * 0.55, 600);
+        return count <= 1 ? available : Math.floor(available / 2) - 8;
+    }
+
+    _animate(currentTime) {
+        if (!this.isRunning) return;
+
+        if (currentTime - this.lastStepTime >= this.stepDelay) {
+            this.lastStepTime = currentTime;
+            this._step();
+        }
+
+        if (this.lanes.every(lane => lane.done)) {
+            this.isRunning = false;
+            this.animationFrameId = null;
+            this._renderTable();
+            if (this.onComplete) this.onComplete();
+            return;
+        }
+
+        this.animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    }
+
+    /**
+     * Advance every lane by one expansion, or one solution cell once its
+     * exploration is over
+     */
+    _step() {
+        for (const lane of this.lanes) {
+            if (lane.done) continue;
+
+            const { trace } = lane.result;
+            if (lane.stepIndex < trace.length) {
+                lane.renderer.applyTraceStep(trace[lane.stepIndex]);
+                lane.stepIndex++;
+                lane.counter.textContent = lane.stepIndex;
+            } else if (!lane.renderer.advanceSolution()) {
+                lane.done = true;
+                lane.counter.textContent = `${lane.stepIndex} ✓`;
+            }
+        }
+    }
+
+    /**
+     * Comparison table, best value of each column highlighted
+     */
+    _renderTable() {
+        const columns = [
+            { key: 'nodesVisited', label: 'Nodos' },
+            { key: 'pathLength', label: 'Longitud' },
+            { key: 'pathCost', label: 'Costo', format: (v) => PathfindingAlgorithms.formatCost(v) },
+            { key: 'time', label: 'Tiempo', format: (v) => `${v.toFixed(2)} ms` }
+        ];
+
+        // Lanes without a path don't compete for path columns
+        const competes = (lane, key) =>
+            lane.metrics.pathLength > 0 || key === 'nodesVisited' || key === 'time';
+
+        const best = {};
+        for (const { key } of columns) {
+            const values = this.lanes.filter(lane => competes(lane, key)).map(lane => lane.metrics[key]);
+            best[key] = Math.min(...values);
+        }
+
+        const header = `<tr><th>Algoritmo</th>${columns.map(c => `<th>${c.label}</th>`).join('')}</tr>`;
+        const rows = this.lanes.map(lane => {
+            const cells = columns.map(({ key, format }) => {
+                const value = lane.metrics[key];
+                const isBest = value === best[key] && competes(lane, key);
+                const text = format ? format(value) : value;
+                return `<td class="${isBest ? 'best' : ''}">${text}</td>`;
+            }).join('');
+            return `<tr><td>${lane.name}</td>${cells}</tr>`;
+        }).join('');
+
+        this.table.innerHTML = `<thead>${header}</thead><tbody>${rows}</tbody>`;
+    }
+}
+
+RaceMode.MIN_LANES = 2;
+RaceMode.MAX_LANES = 4;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RaceMode;
+}
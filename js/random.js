@@ -0,0 +1,66 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic PRNG (Mulberry32) so mazes can be reproduced from a seed
+ */
+
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed;
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    /**
+     * Next float in [0, 1), drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Convert a numeric or text seed into a 32-bit state
+     * Text seeds are hashed with FNV-1a so "demo" always maps to the same maze
+     */
+    static hashSeed(seed) {
+        const text = String(seed).trim();
+        if (/^-?\d+$/.test(text)) {
+            return Number(text) | 0;
+        }
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash | 0;
+    }
+
+    /**
+     * Create a fresh seed when the user doesn't provide one
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
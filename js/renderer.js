@@ -16,45 +16,123 @@ class Renderer {
             path: '#3b3b4f',
             start: '#10b981',
             end: '#ef4444',
+            sand: '#8a7a4a',
+            mud: '#6b4f3a',
+            water: '#2b5d8a',
+            stairs: '#6d5fa8',
+            stairSteps: 'rgba(255, 255, 255, 0.35)',
+            floorDivider: 'rgba(255, 255, 255, 0.25)',
             visited: 'rgba(99, 102, 241, 0.4)',
+            frontier: 'rgba(56, 189, 248, 0.45)',
+            visitedReverse: 'rgba(168, 85, 247, 0.45)',
+            frontierReverse: 'rgba(232, 121, 249, 0.35)',
+            scanned: 'rgba(148, 163, 184, 0.18)',
+            jumpPoint: '#f97316',
+            repaired: 'rgba(244, 63, 94, 0.45)',
+            trail: 'rgba(45, 212, 191, 0.45)',
+            markOnce: '#facc15',
+            markTwice: '#f43f5e',
+            fog: '#0b0b14',
+            fogMemory: 'rgba(11, 11, 20, 0.55)',
+            scoreText: 'rgba(255, 255, 255, 0.85)',
             solution: '#fbbf24',
-            npcBody: '#ec4899',
-            npcGlow: 'rgba(236, 72, 153, 0.4)',
-            npcInner: '#f472b6',
             grid: 'rgba(255, 255, 255, 0.03)'
         };
 
         // State
-        this.visitedCells = new Set();
+        this.visitedCells = new Set();  // Closed set
+        this.frontierCells = new Set(); // Open set
+        this.cellScores = new Map();    // key -> { g, h, f }
+        this.reverseCells = new Set();  // Reached by the end-side of a bidirectional search
+        this.scannedCells = new Set();  // Walked over by JPS jumps
+        this.jumpPoints = new Set();
+        this.repairedCells = new Set(); // Re-expanded by the last replan
+        this.agentRoutes = [];          // Multi-agent plans: [{ path, goal, color }]
+        this.heatmap = new Map();       // Learned values: key -> number
+        this.trailCells = new Map();    // Exploration walk: key -> times entered
+        this.trailMarks = new Map();    // Trémaux marks: "x1,y1|x2,y2" -> 1 or 2
+        this.fogEnabled = false;        // Hide what the NPC has not seen
+        this.knownCells = new Set();    // Seen at least once
+        this.visibleCells = new Set();  // In sight right now
+        this.showScores = false;
         this.solutionPath = [];
         this.currentSolutionIndex = 0;
+        this.floor = null;              // Multi-level mazes: floor shown alone, null tiles them all
     }
 
     /**
      * Initialize canvas size based on maze
+     * maxCanvasSize overrides the default fit (used by race lanes)
      */
-    init(maze) {
+    init(maze, maxCanvasSize = Math.min(window.innerWidth * 0.55, 600)) {
         this.maze = maze;
+        this.maxCanvasSize = maxCanvasSize;
+        if (this.floor !== null && this.floor >= maze.floors) this.floor = null;
 
-        // Calculate optimal cell size
-        const maxCanvasSize = Math.min(window.innerWidth * 0.55, 600);
-        this.cellSize = Math.floor(maxCanvasSize / maze.size);
+        this._fitCanvas();
+        this.clear();
+    }
+
+    /**
+     * Size the canvas for the maze, or for the floor shown alone
+     */
+    _fitCanvas() {
+        const maze = this.maze;
+
+        // Calculate optimal cell size (on a topology: the distance between
+        // two cell centers)
+        const columns = this.floor === null ? maze.size * maze.floors : maze.size;
+        const { width, height } = maze.topology || { width: columns, height: maze.size };
+        this.cellSize = Math.floor(this.maxCanvasSize / Math.max(width, height));
         this.cellSize = Math.max(this.cellSize, 8); // Minimum cell size
 
-        const canvasSize = this.cellSize * maze.size;
-        this.canvas.width = canvasSize;
-        this.canvas.height = canvasSize;
+        this.canvas.width = Math.ceil(this.cellSize * width);
+        this.canvas.height = Math.ceil(this.cellSize * height);
 
-        this.clear();
+        // Keep drawing in grid coordinates: shift the shown floor into view
+        this.ctx.setTransform(1, 0, 0, 1, -this._viewLeft(), 0);
+    }
+
+    /**
+     * Grid pixel at the left edge of the canvas
+     */
+    _viewLeft() {
+        return this.floor === null ? 0 : this.floor * this.maze.size * this.cellSize;
+    }
+
+    /**
+     * Show one floor of a multi-level maze, or all of them side by side (null)
+     * Call redraw() afterwards to paint it
+     */
+    setFloor(floor) {
+        if (floor === this.floor) return;
+        this.floor = floor;
+        if (this.maze) this._fitCanvas();
     }
 
     /**
      * Clear the canvas
      */
     clear() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.fillStyle = this.colors.wall;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
         this.visitedCells.clear();
+        this.frontierCells.clear();
+        this.cellScores.clear();
+        this.reverseCells.clear();
+        this.scannedCells.clear();
+        this.jumpPoints.clear();
+        this.repairedCells.clear();
+        this.agentRoutes = [];
+        this.heatmap = new Map();
+        this.trailCells = new Map();
+        this.trailMarks = new Map();
+        this.fogEnabled = false;
+        this.knownCells.clear();
+        this.visibleCells.clear();
         this.solutionPath = [];
         this.currentSolutionIndex = 0;
     }
@@ -65,13 +143,32 @@ class Renderer {
     renderMaze() {
         if (!this.maze) return;
 
-        const { size, grid } = this.maze.getData();
+        const { grid } = this.maze.getData();
 
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
+        for (let y = 0; y < grid.length; y++) {
+            for (let x = 0; x < grid[y].length; x++) {
                 this._drawCell(x, y, grid[y][x]);
             }
         }
+
+        if (this.maze.floors > 1 && this.floor === null) this._drawFloorDividers();
+    }
+
+    /**
+     * Thin lines between floors tiled side by side
+     */
+    _drawFloorDividers() {
+        const height = this.maze.size * this.cellSize;
+
+        this.ctx.strokeStyle = this.colors.floorDivider;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        for (let floor = 1; floor < this.maze.floors; floor++) {
+            const x = floor * this.maze.size * this.cellSize;
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, height);
+        }
+        this.ctx.stroke();
     }
 
     /**
@@ -97,10 +194,27 @@ class Renderer {
             case 3: // End
                 color = this.colors.end;
                 break;
+            case 4: // Sand
+                color = this.colors.sand;
+                break;
+            case 5: // Mud
+                color = this.colors.mud;
+                break;
+            case 6: // Water
+                color = this.colors.water;
+                break;
+            case 7: // Stairs
+                color = this.colors.stairs;
+                break;
             default:
                 color = this.colors.path;
         }
 
+        if (this.maze.topology) {
+            this._drawPolygonCell(x, y, type, color);
+            return;
+        }
+
         // Draw cell background
         this.ctx.fillStyle = color;
         this.ctx.fillRect(px + padding, py + padding, size - padding * 2, size - padding * 2);
@@ -113,6 +227,14 @@ class Renderer {
             this.ctx.fill();
         }
 
+        // Steps across stairs
+        if (type === 7) {
+            this.ctx.fillStyle = this.colors.stairSteps;
+            for (let i = 1; i <= 3; i++) {
+                this.ctx.fillRect(px + size * 0.2, py + size * i / 4 - 0.5, size * 0.6, 1);
+            }
+        }
+
         // Add special effects for start/end
         if (type === 2 || type === 3) {
             this.ctx.shadowColor = color;
@@ -128,6 +250,160 @@ class Renderer {
         }
     }
 
+    /**
+     * Topology cell: the polygon, the walls on its closed sides (arcs on
+     * polar grids) and the start/end glow
+     */
+    _drawPolygonCell(x, y, type, color) {
+        const { topology } = this.maze;
+
+        // Stroking in the fill color hides seams between open neighbors
+        this._tracePolygon(topology.corners(x, y));
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+
+        this.ctx.strokeStyle = this.colors.wall;
+        this.ctx.lineWidth = Math.max(2, this.cellSize * 0.12);
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        const size = this.cellSize;
+        for (const { from, to, neighbor, arc } of topology.sides(x, y)) {
+            if (neighbor && this.maze.hasPassage({ x, y }, neighbor)) continue;
+            this.ctx.moveTo(from[0] * size, from[1] * size);
+            if (arc) {
+                const [cx, cy] = arc.center;
+                this.ctx.arc(cx * size, cy * size, arc.radius * size, arc.start, arc.end, arc.counterclockwise);
+            } else {
+                this.ctx.lineTo(to[0] * size, to[1] * size);
+            }
+        }
+        this.ctx.stroke();
+
+        if (type === 2 || type === 3) {
+            const [cx, cy] = this._cellCenter(x, y);
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 10;
+            this.ctx.beginPath();
+            this.ctx.arc(cx, cy, this.cellSize * 0.25, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.shadowBlur = 0;
+        }
+    }
+
+    /**
+     * Begin a closed path through corners given in cell units
+     */
+    _tracePolygon(corners) {
+        this.ctx.beginPath();
+        corners.forEach(([cx, cy], i) => {
+            if (i === 0) this.ctx.moveTo(cx * this.cellSize, cy * this.cellSize);
+            else this.ctx.lineTo(cx * this.cellSize, cy * this.cellSize);
+        });
+        this.ctx.closePath();
+    }
+
+    /**
+     * Pixel center of a cell
+     */
+    _cellCenter(x, y) {
+        if (this.maze.topology) {
+            const [cx, cy] = this.maze.topology.center(x, y);
+            return [cx * this.cellSize, cy * this.cellSize];
+        }
+        return [(x + 0.5) * this.cellSize, (y + 0.5) * this.cellSize];
+    }
+
+    /**
+     * Top-left corner of the cellSize box centered on a cell, where
+     * markers and score overlays are laid out
+     */
+    _cellOrigin(x, y) {
+        const [cx, cy] = this._cellCenter(x, y);
+        return [cx - this.cellSize / 2, cy - this.cellSize / 2];
+    }
+
+    /**
+     * Fill a cell with the current fillStyle, inset so walls stay visible
+     */
+    _fillCell(x, y) {
+        const { topology } = this.maze;
+        if (!topology) {
+            this.ctx.fillRect(x * this.cellSize + 1, y * this.cellSize + 1, this.cellSize - 2, this.cellSize - 2);
+            return;
+        }
+
+        const [cx, cy] = topology.center(x, y);
+        const inset = 0.8;
+        this._tracePolygon(topology.corners(x, y).map(([px, py]) =>
+            [cx + (px - cx) * inset, cy + (py - cy) * inset]
+        ));
+        this.ctx.fill();
+    }
+
+    _isOnGrid(x, y) {
+        if (this.maze.topology) return this.maze.topology.contains(x, y);
+        return x >= 0 && y >= 0 && x < this.maze.size * this.maze.floors && y < this.maze.size;
+    }
+
+    /**
+     * Redraw a single cell in place (used by the editor)
+     */
+    redrawCell(x, y) {
+        if (!this.maze || !this._isOnGrid(x, y)) return;
+        if (this.maze.topology) {
+            // The opaque polygon covers everything drawn over it
+            this._drawCell(x, y, this.maze.getCell(x, y));
+            return;
+        }
+
+        this.ctx.fillStyle = this.colors.wall;
+        this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+        this._drawCell(x, y, this.maze.getCell(x, y));
+    }
+
+    /**
+     * Redraw a cell and its 8 neighbors (clears start/end glow)
+     */
+    redrawArea(x, y) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                this.redrawCell(x + dx, y + dy);
+            }
+        }
+
+        // Glow of a nearby start/end may have been clipped, redraw it on top
+        for (const point of [this.maze.start, this.maze.end]) {
+            if (Math.abs(point.x - x) <= 2 && Math.abs(point.y - y) <= 2) {
+                this._drawCell(point.x, point.y, this.maze.getCell(point.x, point.y));
+            }
+        }
+    }
+
+    /**
+     * Convert a pointer event to grid coordinates
+     */
+    cellFromEvent(event) {
+        if (!this.maze) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width;
+        const scaleY = this.canvas.height / rect.height;
+        const px = ((event.clientX - rect.left) * scaleX + this._viewLeft()) / this.cellSize;
+        const py = (event.clientY - rect.top) * scaleY / this.cellSize;
+
+        if (this.maze.topology) return this.maze.topology.cellAt(px, py);
+
+        const x = Math.floor(px);
+        const y = Math.floor(py);
+        if (!this._isOnGrid(x, y)) {
+            return null;
+        }
+        return { x, y };
+    }
+
     /**
      * Mark a cell as visited (for algorithm visualization)
      */
@@ -135,16 +411,150 @@ class Renderer {
         const key = `${x},${y}`;
         if (this.visitedCells.has(key)) return;
         this.visitedCells.add(key);
+        this.frontierCells.delete(key);
+        this._drawTraceCell(x, y);
+    }
+
+    /**
+     * Apply one solver trace step: close the expanded node and open its
+     * frontier additions. Pass draw = false to only update state
+     */
+    applyTraceStep(step, draw = true) {
+        const { node } = step;
+        const key = `${node.x},${node.y}`;
+        const isReverse = step.side === 'end';
+
+        this.visitedCells.add(key);
+        this.frontierCells.delete(key);
+        this._setScores(key, step);
+        this._setSide(key, isReverse);
+        if (step.jumpPoint) this.jumpPoints.add(key);
+        if (draw) this._repaintTraceCell(node.x, node.y);
+
+        // Cells JPS skipped over; drawn faintly under everything else
+        for (const cell of step.scanned || []) {
+            const cellKey = `${cell.x},${cell.y}`;
+            if (this.scannedCells.has(cellKey)) continue;
+
+            this.scannedCells.add(cellKey);
+            if (draw && !this.visitedCells.has(cellKey) && !this.frontierCells.has(cellKey)) {
+                this._repaintTraceCell(cell.x, cell.y);
+            }
+        }
+
+        for (const cell of step.frontier) {
+            const cellKey = `${cell.x},${cell.y}`;
+            if (this.visitedCells.has(cellKey)) continue;
+
+            this.frontierCells.add(cellKey);
+            this._setScores(cellKey, cell);
+            this._setSide(cellKey, isReverse);
+            if (cell.jump) this.jumpPoints.add(cellKey);
+            if (draw) this._repaintTraceCell(cell.x, cell.y);
+        }
+    }
+
+    _setScores(key, { g, h, f }) {
+        this.cellScores.set(key, { g, h, f });
+    }
+
+    _setSide(key, isReverse) {
+        if (isReverse) {
+            this.reverseCells.add(key);
+        } else {
+            this.reverseCells.delete(key);
+        }
+    }
+
+    /**
+     * Repaint the cell background before overlaying (alpha colors stack)
+     */
+    _repaintTraceCell(x, y) {
+        const cell = this.maze.getCell(x, y);
+        if (cell === 2 || cell === 3) return;
+
+        this.redrawCell(x, y);
+        this._drawTraceCell(x, y);
+    }
 
+    _drawTraceCell(x, y) {
         const cell = this.maze.getCell(x, y);
         if (cell === 2 || cell === 3) return; // Don't overwrite start/end
 
-        const px = x * this.cellSize;
-        const py = y * this.cellSize;
+        const key = `${x},${y}`;
+        const [px, py] = this._cellOrigin(x, y);
+
+        const isReverse = this.reverseCells.has(key);
+        const isOpenOrClosed = this.visitedCells.has(key) || this.frontierCells.has(key);
+        if (this.visitedCells.has(key)) {
+            this.ctx.fillStyle = isReverse ? this.colors.visitedReverse : this.colors.visited;
+        } else if (this.frontierCells.has(key)) {
+            this.ctx.fillStyle = isReverse ? this.colors.frontierReverse : this.colors.frontier;
+        } else {
+            this.ctx.fillStyle = this.colors.scanned;
+        }
+        this._fillCell(x, y);
+
+        if (this.jumpPoints.has(key)) {
+            this._drawJumpPoint(px, py);
+        }
+
+        if (isOpenOrClosed && this.showScores && this.cellSize >= 24) {
+            this._drawScores(px, py, this.cellScores.get(key));
+        }
+    }
+
+    /**
+     * Diamond outline marking a JPS jump point
+     */
+    _drawJumpPoint(px, py) {
+        const size = this.cellSize;
+        const center = size / 2;
+        const radius = size * 0.3;
+
+        this.ctx.strokeStyle = this.colors.jumpPoint;
+        this.ctx.lineWidth = Math.max(1, size / 12);
+        this.ctx.beginPath();
+        this.ctx.moveTo(px + center, py + center - radius);
+        this.ctx.lineTo(px + center + radius, py + center);
+        this.ctx.lineTo(px + center, py + center + radius);
+        this.ctx.lineTo(px + center - radius, py + center);
+        this.ctx.closePath();
+        this.ctx.stroke();
+    }
+
+    /**
+     * Numeric overlay: g top-left, h top-right, f at the bottom (A*),
+     * or a single centered distance for the other solvers
+     */
+    _drawScores(px, py, scores) {
+        if (!scores || scores.g === undefined) return;
+
         const size = this.cellSize;
+        const fontSize = Math.max(7, Math.floor(size / 4));
+        const format = (value) => Number.isInteger(value) ? value : value.toFixed(1);
+
+        this.ctx.fillStyle = this.colors.scoreText;
+        this.ctx.font = `${fontSize}px Outfit, sans-serif`;
+
+        if (scores.f === undefined) {
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(format(scores.g), px + size / 2, py + size / 2);
+            return;
+        }
 
-        this.ctx.fillStyle = this.colors.visited;
-        this.ctx.fillRect(px + 1, py + 1, size - 2, size - 2);
+        const inset = 3;
+        this.ctx.textBaseline = 'top';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(format(scores.g), px + inset, py + inset);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(format(scores.h), px + size - inset, py + inset);
+
+        this.ctx.font = `bold ${fontSize + 1}px Outfit, sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(format(scores.f), px + size / 2, py + size - inset);
     }
 
     /**
@@ -154,8 +564,7 @@ class Renderer {
         const cell = this.maze.getCell(x, y);
         if (cell === 2 || cell === 3) return; // Don't overwrite start/end
 
-        const px = x * this.cellSize;
-        const py = y * this.cellSize;
+        const [px, py] = this._cellOrigin(x, y);
         const size = this.cellSize;
         const center = size / 2;
 
@@ -185,8 +594,7 @@ class Renderer {
      */
     drawNPC(npc) {
         const data = npc.getRenderData();
-        const px = data.x * this.cellSize + this.cellSize / 2;
-        const py = data.y * this.cellSize + this.cellSize / 2;
+        const [px, py] = this._npcCenter(data);
         const radius = (this.cellSize / 2) * data.size;
 
         // Glow effect
@@ -198,9 +606,9 @@ class Renderer {
             px, py, 0,
             px, py, radius
         );
-        gradient.addColorStop(0, this.colors.npcInner);
+        gradient.addColorStop(0, data.innerColor);
         gradient.addColorStop(0.7, data.color);
-        gradient.addColorStop(1, 'rgba(236, 72, 153, 0.8)');
+        gradient.addColorStop(1, data.glowColor);
 
         this.ctx.fillStyle = gradient;
         this.ctx.beginPath();
@@ -234,20 +642,115 @@ class Renderer {
         }
 
         this.ctx.shadowBlur = 0;
+
+        if (data.label) {
+            this._drawLabel(px, py - radius - 3, data.label, data.color);
+        }
+    }
+
+    /**
+     * Pixel position of an NPC; on a topology grid coordinates don't map
+     * linearly to the plane, so interpolate between the two cell centers
+     */
+    _npcCenter(data) {
+        if (!this.maze.topology) {
+            return [(data.x + 0.5) * this.cellSize, (data.y + 0.5) * this.cellSize];
+        }
+
+        const [ax, ay] = this._cellCenter(data.from.x, data.from.y);
+        const [bx, by] = this._cellCenter(data.to.x, data.to.y);
+        return [
+            ax + (bx - ax) * data.progress,
+            ay + (by - ay) * data.progress + data.bounce * this.cellSize
+        ];
+    }
+
+    /**
+     * Small tag centered above a point, kept inside the canvas
+     */
+    _drawLabel(x, bottom, text, color) {
+        const fontSize = Math.max(10, Math.min(14, Math.floor(this.cellSize * 0.5)));
+        this.ctx.font = `600 ${fontSize}px Outfit, sans-serif`;
+
+        const padding = 4;
+        const width = this.ctx.measureText(text).width + padding * 2;
+        const height = fontSize + padding;
+        const viewLeft = this._viewLeft();
+        const left = Math.max(viewLeft, Math.min(x - width / 2, viewLeft + this.canvas.width - width));
+        const top = Math.max(0, bottom - height);
+
+        this.ctx.fillStyle = 'rgba(15, 15, 26, 0.85)';
+        this.ctx.fillRect(left, top, width, height);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(left + 0.5, top + 0.5, width - 1, height - 1);
+
+        this.ctx.fillStyle = 'white';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, left + width / 2, top + height / 2);
+    }
+
+    /**
+     * Draw the planned route of every agent as a thin line ending in a goal ring
+     */
+    drawAgentRoutes() {
+        const size = this.cellSize;
+        const center = (cell) => this._cellCenter(cell.x, cell.y);
+
+        this.ctx.lineWidth = Math.max(1.5, size * 0.08);
+        this.ctx.lineJoin = 'round';
+
+        for (const { path, goal, color } of this.agentRoutes) {
+            this.ctx.strokeStyle = color;
+            this.ctx.globalAlpha = 0.55;
+            this.ctx.beginPath();
+            path.forEach((cell, i) => {
+                const [px, py] = center(cell);
+                if (i === 0) this.ctx.moveTo(px, py);
+                else this.ctx.lineTo(px, py);
+            });
+            this.ctx.stroke();
+
+            this.ctx.globalAlpha = 1;
+            const [gx, gy] = center(goal);
+            this.ctx.beginPath();
+            this.ctx.arc(gx, gy, size * 0.38, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+
+        this.ctx.globalAlpha = 1;
     }
 
     /**
      * Full redraw with current state
+     * npc can be a single NPC or an array of them
      */
     redraw(npc) {
         this.renderMaze();
 
-        // Redraw visited cells
-        for (const key of this.visitedCells) {
+        // Redraw scanned, closed and frontier cells
+        const scannedOnly = [...this.scannedCells].filter(key =>
+            !this.visitedCells.has(key) && !this.frontierCells.has(key)
+        );
+        for (const key of [...scannedOnly, ...this.visitedCells, ...this.frontierCells]) {
+            const [x, y] = key.split(',').map(Number);
+            this._drawTraceCell(x, y);
+        }
+
+        // Cells re-expanded by the last replan go on top
+        this.ctx.fillStyle = this.colors.repaired;
+        for (const key of this.repairedCells) {
             const [x, y] = key.split(',').map(Number);
-            this.markVisited(x, y);
+            const cell = this.maze.getCell(x, y);
+            if (cell === 0 || cell === 2 || cell === 3) continue;
+            this._fillCell(x, y);
         }
 
+        this._drawHeatmap();
+        this._drawTrail();
+        if (this.fogEnabled) this._drawFog();
+
         // Redraw solution path up to current index
         for (let i = 0; i < this.currentSolutionIndex; i++) {
             if (this.solutionPath[i]) {
@@ -255,18 +758,145 @@ class Renderer {
             }
         }
 
-        // Draw NPC
-        if (npc) {
-            this.drawNPC(npc);
+        this.drawAgentRoutes();
+
+        // Draw NPCs
+        const npcs = Array.isArray(npc) ? npc : [npc];
+        for (const agent of npcs) {
+            if (agent) this.drawNPC(agent);
         }
     }
 
+    /**
+     * Set the routes drawn by drawAgentRoutes()
+     */
+    setAgentRoutes(routes) {
+        this.agentRoutes = routes;
+    }
+
     /**
      * Set solution path for progressive drawing
+     * revealed: how many of its cells are already shown
      */
-    setSolutionPath(path) {
+    setSolutionPath(path, revealed = 0) {
         this.solutionPath = path;
-        this.currentSolutionIndex = 0;
+        this.currentSolutionIndex = Math.min(revealed, path.length);
+    }
+
+    /**
+     * Set per-cell values ("x,y" -> number) to draw as a heatmap
+     */
+    setHeatmap(values) {
+        this.heatmap = values;
+    }
+
+    /**
+     * Color cells from blue (lowest value) to yellow (highest)
+     */
+    _drawHeatmap() {
+        if (this.heatmap.size === 0) return;
+
+        const values = [...this.heatmap.values()];
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+
+        for (const [key, value] of this.heatmap) {
+            const [x, y] = key.split(',').map(Number);
+            const t = (value - min) / range;
+            this.ctx.fillStyle = `hsla(${230 - t * 180}, 85%, 55%, 0.55)`;
+            this._fillCell(x, y);
+        }
+    }
+
+    /**
+     * Set the exploration trail: visits ("x,y" -> count) and passage marks
+     */
+    setTrail(visits, marks = new Map()) {
+        this.trailCells = visits;
+        this.trailMarks = marks;
+    }
+
+    /**
+     * Tint walked cells (darker the more often they were entered) and draw
+     * Trémaux marks as ticks on the shared edge of the two cells
+     */
+    _drawTrail() {
+        const size = this.cellSize;
+
+        this.ctx.fillStyle = this.colors.trail;
+        for (const [key, count] of this.trailCells) {
+            const [x, y] = key.split(',').map(Number);
+            this.ctx.globalAlpha = Math.min(1, 0.3 + count * 0.2);
+            this._fillCell(x, y);
+        }
+        this.ctx.globalAlpha = 1;
+
+        const tick = Math.max(2, size * 0.2);
+        for (const [passage, count] of this.trailMarks) {
+            const [a, b] = passage.split('|').map(key => this._cellCenter(...key.split(',').map(Number)));
+            const cx = (a[0] + b[0]) / 2;
+            const cy = (a[1] + b[1]) / 2;
+            this.ctx.fillStyle = count > 1 ? this.colors.markTwice : this.colors.markOnce;
+            this.ctx.fillRect(cx - tick / 2, cy - tick / 2, tick, tick);
+        }
+    }
+
+    /**
+     * Turn fog-of-war on or off; turning it on forgets everything seen
+     */
+    setFog(enabled) {
+        this.fogEnabled = enabled;
+        this.knownCells.clear();
+        this.visibleCells.clear();
+    }
+
+    /**
+     * Cells in sight now (Set of "x,y" keys); they stay known afterwards
+     */
+    revealCells(visible) {
+        for (const key of visible) this.knownCells.add(key);
+        this.visibleCells = new Set(visible);
+    }
+
+    /**
+     * Black out unknown cells and dim the ones seen before but not in sight
+     */
+    _drawFog() {
+        const size = this.cellSize;
+
+        for (let y = 0; y < this.maze.size; y++) {
+            for (let x = 0; x < this.maze.size; x++) {
+                const key = `${x},${y}`;
+                if (this.visibleCells.has(key)) continue;
+                this.ctx.fillStyle = this.knownCells.has(key) ? this.colors.fogMemory : this.colors.fog;
+                this.ctx.fillRect(x * size, y * size, size, size);
+            }
+        }
+    }
+
+    /**
+     * Highlight the cells a replan re-expanded (replaces the previous set)
+     */
+    markRepaired(cells) {
+        this.repairedCells = new Set(cells.map(cell => `${cell.x},${cell.y}`));
+    }
+
+    /**
+     * Jump to a point of the visualization timeline:
+     * the first visitedCount trace steps and solutionCount path cells
+     * Call redraw() afterwards to paint it
+     */
+    setProgress(trace, visitedCount, solutionCount) {
+        this.visitedCells.clear();
+        this.frontierCells.clear();
+        this.cellScores.clear();
+        this.reverseCells.clear();
+        this.scannedCells.clear();
+        this.jumpPoints.clear();
+        for (let i = 0; i < visitedCount && i < trace.length; i++) {
+            this.applyTraceStep(trace[i], false);
+        }
+        this.currentSolutionIndex = Math.min(solutionCount, this.solutionPath.length);
     }
 
     /**
@@ -0,0 +1,196 @@
+/**
+ * Maze Serializer
+ * Import/export mazes as versioned JSON or plain ASCII text
+ *
+ * ASCII format:
+ *   # = Wall, . = Path, S = Start, E = End
+ *   , = Sand, % = Mud, ~ = Water (optional weighted terrain)
+ */
+
+class MazeFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MazeFormatError';
+    }
+}
+
+class MazeSerializer {
+    static get FORMAT() {
+        return 'pathfinding-maze';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    // Cell value <-> ASCII character
+    static get ASCII_CHARS() {
+        return { 0: '#', 1: '.', 2: 'S', 3: 'E', 4: ',', 5: '%', 6: '~' };
+    }
+
+    // ==========================================
+    // EXPORT
+    // ==========================================
+
+    static toJSON(maze) {
+        const data = {
+            format: MazeSerializer.FORMAT,
+            version: MazeSerializer.VERSION,
+            size: maze.size,
+            algorithm: maze.algorithm,
+            start: { x: maze.start.x, y: maze.start.y },
+            end: { x: maze.end.x, y: maze.end.y },
+            grid: maze.grid.map(row => row.slice())
+        };
+
+        if (maze.seed !== null && maze.seed !== undefined) {
+            data.seed = maze.seed;
+        }
+
+        // One row per line keeps the file readable and diffable
+        const rows = data.grid.map(row => `    ${JSON.stringify(row)}`).join(',\n');
+        const header = JSON.stringify({ ...data, grid: [] }, null, 2);
+        return header.replace('"grid": []', `"grid": [\n${rows}\n  ]`);
+    }
+
+    static toASCII(maze) {
+        const chars = MazeSerializer.ASCII_CHARS;
+        return maze.grid.map(row => row.map(cell => chars[cell] || '.').join('')).join('\n') + '\n';
+    }
+
+    // ==========================================
+    // IMPORT
+    // ==========================================
+
+    /**
+     * Parse either format, detected from the content
+     */
+    static parse(text) {
+        return text.trim().startsWith('{')
+            ? MazeSerializer.fromJSON(text)
+            : MazeSerializer.fromASCII(text);
+    }
+
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new MazeFormatError(`JSON inválido: ${error.message}`);
+        }
+
+        if (!data || typeof data !== 'object' || data.format !== MazeSerializer.FORMAT) {
+            throw new MazeFormatError('El archivo no es un laberinto exportado por esta aplicación');
+        }
+        if (data.version !== MazeSerializer.VERSION) {
+            throw new MazeFormatError(`Versión de formato no soportada: ${data.version}`);
+        }
+        if (!Array.isArray(data.grid)) {
+            throw new MazeFormatError('Falta la cuadrícula (grid)');
+        }
+
+        const grid = data.grid.map((row, y) => {
+            if (!Array.isArray(row)) {
+                throw new MazeFormatError(`La fila ${y + 1} no es una lista`);
+            }
+            return row.map((cell, x) => {
+                if (!MazeSerializer._isValidCell(cell)) {
+                    throw new MazeFormatError(`Valor de celda inválido "${cell}" en (${x}, ${y})`);
+                }
+                return cell;
+            });
+        });
+
+        if (data.size !== undefined && data.size !== grid.length) {
+            throw new MazeFormatError(`El tamaño declarado (${data.size}) no coincide con la cuadrícula (${grid.length})`);
+        }
+
+        return MazeSerializer._build(grid, {
+            algorithm: data.algorithm,
+            seed: data.seed,
+            start: data.start,
+            end: data.end
+        });
+    }
+
+    static fromASCII(text) {
+        const lookup = {};
+        for (const [value, char] of Object.entries(MazeSerializer.ASCII_CHARS)) {
+            lookup[char] = Number(value);
+        }
+
+        const lines = text.replace(/\r/g, '').split('\n').filter(line => line.trim() !== '');
+        const grid = lines.map((line, y) => [...line.trimEnd()].map((char, x) => {
+            if (!(char in lookup)) {
+                throw new MazeFormatError(`Carácter inválido "${char}" en la línea ${y + 1}, columna ${x + 1}`);
+            }
+            return lookup[char];
+        }));
+
+        return MazeSerializer._build(grid, { algorithm: 'imported' });
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    static _isValidCell(cell) {
+        return Number.isInteger(cell) && ((cell >= 0 && cell <= 3) || cell in Maze.TERRAIN);
+    }
+
+    /**
+     * Validate the grid and create a Maze from it
+     */
+    static _build(grid, { algorithm, seed, start, end }) {
+        const size = grid.length;
+
+        if (size < 5) {
+            throw new MazeFormatError('El laberinto debe tener al menos 5 filas');
+        }
+        if (size % 2 === 0) {
+            throw new MazeFormatError(`El tamaño debe ser impar (recibido ${size})`);
+        }
+        grid.forEach((row, y) => {
+            if (row.length !== size) {
+                throw new MazeFormatError(`El laberinto no es cuadrado: la fila ${y + 1} tiene ${row.length} celdas, se esperaban ${size}`);
+            }
+        });
+
+        const starts = MazeSerializer._findCells(grid, 2);
+        const ends = MazeSerializer._findCells(grid, 3);
+        if (starts.length !== 1) {
+            throw new MazeFormatError(starts.length === 0 ? 'Falta el inicio (S)' : 'Hay más de un inicio (S)');
+        }
+        if (ends.length !== 1) {
+            throw new MazeFormatError(ends.length === 0 ? 'Falta la meta (E)' : 'Hay más de una meta (E)');
+        }
+
+        // JSON files also declare start/end; they must agree with the grid
+        if (start && (start.x !== starts[0].x || start.y !== starts[0].y)) {
+            throw new MazeFormatError('La posición de inicio no coincide con la cuadrícula');
+        }
+        if (end && (end.x !== ends[0].x || end.y !== ends[0].y)) {
+            throw new MazeFormatError('La posición de la meta no coincide con la cuadrícula');
+        }
+
+        const maze = new Maze(size, algorithm || 'imported');
+        maze.grid = grid;
+        maze.start = starts[0];
+        maze.end = ends[0];
+        maze.seed = seed === undefined ? null : seed;
+        return maze;
+    }
+
+    static _findCells(grid, type) {
+        const cells = [];
+        grid.forEach((row, y) => row.forEach((cell, x) => {
+            if (cell === type) cells.push({ x, y });
+        }));
+        return cells;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MazeSerializer, MazeFormatError };
+}
@@ -0,0 +1,441 @@
+/**
+ * Grid Topologies
+ * Cell graphs for mazes that are not square grids. Cells are addressed by
+ * (x, y) like grid cells, but walls live on the shared sides of two cells
+ * instead of in cells of their own: Maze stores the open sides as passages
+ *
+ * Geometry is in cell units (the renderer scales it by its cell size):
+ * centers of adjacent hex and triangle cells are one unit apart, and polar
+ * rings are one unit deep. Every step costs 1 whatever its length
+ *
+ * The square grid keeps its own cells-and-walls layout in Maze
+ */
+
+class Topology {
+    constructor(columns, rows) {
+        this.columns = columns;
+        this.rows = rows;
+    }
+
+    /**
+     * Cells in row y (polar rings differ in length)
+     */
+    rowLength(y) {
+        return this.columns;
+    }
+
+    /**
+     * Every cell, row by row
+     */
+    cells() {
+        const cells = [];
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.rowLength(y); x++) {
+                cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    contains(x, y) {
+        return y >= 0 && y < this.rows && x >= 0 && x < this.rowLength(y);
+    }
+
+    /**
+     * Adjacent cells inside the grid, walls ignored
+     */
+    neighbors(x, y) {
+        return this.sides(x, y).map(side => side.neighbor).filter(Boolean);
+    }
+
+    /**
+     * Sides of a cell as [{ from, to, neighbor, arc }]: the corners it
+     * joins, the cell across it (null on the outer border) and, for curved
+     * sides, the arc between the corners (see PolarTopology)
+     */
+    sides(x, y) {
+        const corners = this.corners(x, y);
+        return this._sideNeighbors(x, y).map((neighbor, i) => ({
+            from: corners[i],
+            to: corners[(i + 1) % corners.length],
+            neighbor: neighbor && this.contains(neighbor.x, neighbor.y) ? neighbor : null
+        }));
+    }
+
+    /**
+     * Length of a step between two cells (between their centers)
+     */
+    stepLength(a, b) {
+        const [ax, ay] = this.center(a.x, a.y);
+        const [bx, by] = this.center(b.x, b.y);
+        return Math.hypot(bx - ax, by - ay);
+    }
+
+    /**
+     * Cell whose polygon contains the point, or null
+     */
+    cellAt(px, py) {
+        return this.cells().find(cell => this._containsPoint(this.corners(cell.x, cell.y), px, py)) || null;
+    }
+
+    /**
+     * Point in convex polygon: on the same side of every edge
+     */
+    _containsPoint(corners, px, py) {
+        let sign = 0;
+        for (let i = 0; i < corners.length; i++) {
+            const [ax, ay] = corners[i];
+            const [bx, by] = corners[(i + 1) % corners.length];
+            const cross = (bx - ax) * (py - ay) - (by - ay) * (px - ax);
+            if (cross === 0) continue;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Build the topology named by Maze's topology option
+     * Rooms across match the square grid of the same size
+     */
+    static create(type, size) {
+        const rooms = Math.max(2, (size - 1) / 2);
+        switch (type) {
+            case 'hex':
+                return new HexTopology(rooms, rooms);
+            case 'triangle':
+                return new TriangleTopology(rooms * 2 + 1, rooms);
+            case 'polar':
+                return new PolarTopology(rooms);
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * Pointy-top hexagons in "odd-r" offset rows: odd rows are shifted half
+ * a cell to the right. Six neighbors per cell
+ */
+class HexTopology extends Topology {
+    constructor(columns, rows) {
+        super(columns, rows);
+        this.type = 'hex';
+        this.radius = 1 / Math.sqrt(3); // Center to corner
+        this.width = columns + (rows > 1 ? 0.5 : 0);
+        this.height = this.radius * (2 + (rows - 1) * 1.5);
+    }
+
+    center(x, y) {
+        return [x + 0.5 + (y & 1) * 0.5, this.radius * (1 + y * 1.5)];
+    }
+
+    /**
+     * Clockwise from the top corner
+     */
+    corners(x, y) {
+        const [cx, cy] = this.center(x, y);
+        return [-90, -30, 30, 90, 150, 210].map(degrees => {
+            const angle = degrees * Math.PI / 180;
+            return [cx + this.radius * Math.cos(angle), cy + this.radius * Math.sin(angle)];
+        });
+    }
+
+    /**
+     * Across each side, clockwise from the top corner:
+     * north-east, east, south-east, south-west, west, north-west
+     */
+    _sideNeighbors(x, y) {
+        const shift = y & 1;
+        return [
+            { x: x + shift, y: y - 1 },
+            { x: x + 1, y },
+            { x: x + shift, y: y + 1 },
+            { x: x - 1 + shift, y: y + 1 },
+            { x: x - 1, y },
+            { x: x - 1 + shift, y: y - 1 }
+        ];
+    }
+
+    /**
+     * Fewest steps between two cells on an open hex grid
+     */
+    distance(a, b) {
+        const [aq, ar] = this._axial(a);
+        const [bq, br] = this._axial(b);
+        const dq = aq - bq;
+        const dr = ar - br;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
+    _axial(cell) {
+        return [cell.x - (cell.y - (cell.y & 1)) / 2, cell.y];
+    }
+
+    /**
+     * Round the point to the nearest hex center in axial coordinates
+     */
+    cellAt(px, py) {
+        const r = (py - this.radius) / (this.radius * 1.5);
+        const q = px - 0.5 - r / 2;
+        const s = -q - r;
+
+        let rq = Math.round(q);
+        let rr = Math.round(r);
+        const rs = Math.round(s);
+        const dq = Math.abs(rq - q);
+        const dr = Math.abs(rr - r);
+        const ds = Math.abs(rs - s);
+        if (dq > dr && dq > ds) rq = -rr - rs;
+        else if (dr > ds) rr = -rq - rs;
+
+        const x = rq + (rr - (rr & 1)) / 2;
+        return this.contains(x, rr) ? { x, y: rr } : null;
+    }
+}
+
+/**
+ * Alternating up and down triangles: (x + y) even points up. Three
+ * neighbors per cell (left, right, and below or above)
+ */
+class TriangleTopology extends Topology {
+    constructor(columns, rows) {
+        super(columns, rows);
+        this.type = 'triangle';
+        this.side = Math.sqrt(3);       // Adjacent centers are 1 apart
+        this.rowHeight = 1.5;
+        this.width = (columns + 1) * this.side / 2;
+        this.height = rows * this.rowHeight;
+    }
+
+    _pointsUp(x, y) {
+        return (x + y) % 2 === 0;
+    }
+
+    center(x, y) {
+        const offset = this._pointsUp(x, y) ? 2 / 3 : 1 / 3;
+        return [(x + 1) * this.side / 2, (y + offset) * this.rowHeight];
+    }
+
+    /**
+     * Clockwise: up triangles from the apex, down triangles from the top left
+     */
+    corners(x, y) {
+        const left = x * this.side / 2;
+        const middle = left + this.side / 2;
+        const right = left + this.side;
+        const top = y * this.rowHeight;
+        const bottom = top + this.rowHeight;
+
+        return this._pointsUp(x, y)
+            ? [[middle, top], [right, bottom], [left, bottom]]
+            : [[left, top], [right, top], [middle, bottom]];
+    }
+
+    _sideNeighbors(x, y) {
+        return this._pointsUp(x, y)
+            ? [{ x: x + 1, y }, { x, y: y + 1 }, { x: x - 1, y }]
+            : [{ x, y: y - 1 }, { x: x + 1, y }, { x: x - 1, y }];
+    }
+
+    /**
+     * Fewest steps on an open triangle grid: every step crosses exactly
+     * one grid line, so count the lines of each of the three directions
+     * between the two centers
+     */
+    distance(a, b) {
+        const [ar, ap, an] = this._strips(a);
+        const [br, bp, bn] = this._strips(b);
+        return Math.abs(ar - br) + Math.abs(ap - bp) + Math.abs(an - bn);
+    }
+
+    /**
+     * Row and the index of the "/" and "\" strips holding the cell
+     */
+    _strips(cell) {
+        const [cx, cy] = this.center(cell.x, cell.y);
+        const x = cx / this.side;
+        const y = cy / this.side;
+        return [cell.y, Math.round(x + y / Math.sqrt(3)), Math.round(x - y / Math.sqrt(3))];
+    }
+}
+
+/**
+ * Concentric rings around a single center cell. Each ring is split into as
+ * many cells as the ring inside it, or a multiple of that when its cells
+ * would otherwise get much wider than deep, so cells stay roughly square
+ * Cell (x, y) is cell x of ring y, counted clockwise from the top
+ * Neighbors: the two cells beside it on its ring (spokes between them),
+ * the cell inside it and the one or more cells outside it
+ */
+class PolarTopology extends Topology {
+    constructor(rings) {
+        super(1, rings);
+        this.type = 'polar';
+
+        this.counts = [1];
+        for (let ring = 1; ring < rings; ring++) {
+            const previous = this.counts[ring - 1];
+            const ratio = Math.max(1, Math.round(2 * Math.PI * ring / previous));
+            this.counts.push(previous * ratio);
+        }
+        this.columns = this.counts[rings - 1];
+
+        // Room around the outer ring for the stroke of its wall
+        this.origin = rings + 0.25;
+        this.width = this.origin * 2;
+        this.height = this.origin * 2;
+    }
+
+    rowLength(y) {
+        return this.counts[y];
+    }
+
+    /**
+     * Angle of a cell's edge (offset 0: counterclockwise side, 1: clockwise
+     * side), 0 pointing up
+     */
+    _angle(x, y, offset) {
+        return (x + offset) / this.counts[y] * Math.PI * 2 - Math.PI / 2;
+    }
+
+    _point(radius, angle) {
+        return [this.origin + radius * Math.cos(angle), this.origin + radius * Math.sin(angle)];
+    }
+
+    center(x, y) {
+        if (y === 0) return [this.origin, this.origin];
+        return this._point(y + 0.5, this._angle(x, y, 0.5));
+    }
+
+    /**
+     * Sampled outline: the outer arc clockwise, then the inner arc back
+     */
+    corners(x, y) {
+        if (y === 0) return this._arcPoints(1, -Math.PI / 2, Math.PI * 1.5);
+
+        const start = this._angle(x, y, 0);
+        const end = this._angle(x, y, 1);
+        return [...this._arcPoints(y + 1, start, end), ...this._arcPoints(y, end, start)];
+    }
+
+    _arcPoints(radius, start, end) {
+        const steps = Math.max(2, Math.ceil(Math.abs(end - start) * radius * 3));
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            points.push(this._point(radius, start + (end - start) * i / steps));
+        }
+        return points;
+    }
+
+    neighbors(x, y) {
+        const neighbors = [];
+
+        if (y > 0) {
+            const count = this.counts[y];
+            neighbors.push({ x: (x + 1) % count, y }, { x: (x + count - 1) % count, y });
+            neighbors.push({ x: Math.floor(x / (count / this.counts[y - 1])), y: y - 1 });
+        }
+
+        if (y + 1 < this.rows) {
+            const ratio = this.counts[y + 1] / this.counts[y];
+            for (let i = 0; i < ratio; i++) {
+                neighbors.push({ x: x * ratio + i, y: y + 1 });
+            }
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * Spokes are straight; the sides toward the center and away from it
+     * are arcs around the origin
+     */
+    sides(x, y) {
+        const sides = [];
+        const arc = (radius, start, end, counterclockwise, neighbor) => ({
+            from: this._point(radius, start),
+            to: this._point(radius, end),
+            neighbor,
+            arc: { center: [this.origin, this.origin], radius, start, end, counterclockwise }
+        });
+
+        const outer = (ring, first, last) => {
+            for (let child = first; child <= last; child++) {
+                const neighbor = ring + 1 < this.rows ? { x: child, y: ring + 1 } : null;
+                sides.push(arc(ring + 1, this._angle(child, ring + 1, 0), this._angle(child, ring + 1, 1), false, neighbor));
+            }
+        };
+
+        if (y === 0) {
+            if (this.rows > 1) {
+                outer(0, 0, this.counts[1] - 1);
+            } else {
+                sides.push(arc(1, -Math.PI / 2, Math.PI * 1.5, false, null));
+            }
+            return sides;
+        }
+
+        const count = this.counts[y];
+        const start = this._angle(x, y, 0);
+        const end = this._angle(x, y, 1);
+
+        sides.push({
+            from: this._point(y, start),
+            to: this._point(y + 1, start),
+            neighbor: { x: (x + count - 1) % count, y }
+        });
+
+        if (y + 1 < this.rows) {
+            const ratio = this.counts[y + 1] / count;
+            outer(y, x * ratio, x * ratio + ratio - 1);
+        } else {
+            sides.push(arc(y + 1, start, end, false, null));
+        }
+
+        sides.push({
+            from: this._point(y + 1, end),
+            to: this._point(y, end),
+            neighbor: { x: (x + 1) % count, y }
+        });
+
+        const parent = { x: Math.floor(x / (count / this.counts[y - 1])), y: y - 1 };
+        sides.push(arc(y, end, start, true, parent));
+
+        return sides;
+    }
+
+    /**
+     * Lower bound on steps: each step changes ring by at most one
+     */
+    distance(a, b) {
+        return Math.abs(a.y - b.y);
+    }
+
+    cellAt(px, py) {
+        const dx = px - this.origin;
+        const dy = py - this.origin;
+        const ring = Math.floor(Math.hypot(dx, dy));
+        if (ring >= this.rows) return null;
+        if (ring === 0) return { x: 0, y: 0 };
+
+        const turn = (Math.atan2(dy, dx) + Math.PI / 2) / (Math.PI * 2);
+        const fraction = turn - Math.floor(turn);
+        return { x: Math.floor(fraction * this.counts[ring]) % this.counts[ring], y: ring };
+    }
+}
+
+/**
+ * Display names of every layout Maze accepts
+ */
+Topology.TYPES = {
+    square: 'Cuadrada',
+    hex: 'Hexagonal',
+    triangle: 'Triangular',
+    polar: 'Circular'
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Topology, HexTopology, TriangleTopology, PolarTopology };
+}
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * Headless Benchmark
+ * Generates N mazes per generator and size, runs every solver on each
+ * and reports timing, nodes expanded and path length statistics
+ *
+ * Usage:
+ *   node tools/benchmark.js [options]
+ *
+ * Options:
+ *   --runs <n>            Mazes per generator/size (default 10)
+ *   --sizes <a,b,...>     Maze sizes (default 21,41,71)
+ *   --generators <a,...>  Generator ids (default: all that fit the topology)
+ *   --solvers <a,...>     Solver ids (default: all)
+ *   --seed <text>         Base seed; maze i uses "<seed>-<i>" (default "bench")
+ *   --terrain <0-1>       Weighted terrain density (default 0)
+ *   --braid <0-1>         Fraction of dead ends removed (default 0)
+ *   --loops <0-1>         Fraction of inner walls removed (default 0)
+ *   --diagonal <rule>     8-connected movement with a corner rule:
+ *                         never, single or always (default: 4-connected)
+ *   --heuristic <name>    Heuristic for the informed solvers (default manhattan)
+ *   --weight <w>          Weighted A* factor, at least 1 (default 1)
+ *   --topology <type>     square, hex, triangle or polar (default square)
+ *   --floors <n>          Square floors joined by stairs (default 1)
+ *   --growing-tree <s>    Growing Tree strategy: newest, random, oldest
+ *                         or mix (default newest)
+ *   --csv <file>          Also write results as CSV
+ *   --json <file>         Also write results as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+// The browser scripts share globals; recreate that in Node
+const load = (file) => require(path.join(__dirname, '..', 'js', file));
+global.SeededRandom = load('random.js');
+Object.assign(global, load('topology.js'));
+global.MinHeap = load('heap.js');
+global.Maze = load('maze.js');
+const PathfindingAlgorithms = load('algorithms.js');
+
+// ==========================================
+// ARGUMENTS
+// ==========================================
+
+function parseArgs(argv) {
+    const options = {
+        runs: 10,
+        sizes: [21, 41, 71],
+        generators: null,
+        solvers: Object.keys(PathfindingAlgorithms.ALGORITHMS),
+        seed: 'bench',
+        terrain: 0,
+        braid: 0,
+        loops: 0,
+        diagonal: null,
+        heuristic: 'manhattan',
+        weight: 1,
+        topology: 'square',
+        floors: 1,
+        growingTree: 'newest',
+        csv: null,
+        json: null
+    };
+
+    const list = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--runs': options.runs = parseInt(value); i++; break;
+            case '--sizes': options.sizes = list(value).map(Number); i++; break;
+            case '--generators': options.generators = list(value); i++; break;
+            case '--solvers': options.solvers = list(value); i++; break;
+            case '--seed': options.seed = value; i++; break;
+            case '--terrain': options.terrain = parseFloat(value); i++; break;
+            case '--braid': options.braid = parseFloat(value); i++; break;
+            case '--loops': options.loops = parseFloat(value); i++; break;
+            case '--diagonal': options.diagonal = value; i++; break;
+            case '--heuristic': options.heuristic = value; i++; break;
+            case '--weight': options.weight = parseFloat(value); i++; break;
+            case '--topology': options.topology = value; i++; break;
+            case '--floors': options.floors = parseInt(value); i++; break;
+            case '--growing-tree': options.growingTree = value; i++; break;
+            case '--csv': options.csv = value; i++; break;
+            case '--json': options.json = value; i++; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!(options.runs > 0)) throw new Error('--runs must be a positive number');
+    for (const size of options.sizes) {
+        if (!(size >= 5)) throw new Error(`Invalid size: ${size}`);
+    }
+    if (!(options.topology in Topology.TYPES)) throw new Error(`Unknown topology: ${options.topology}`);
+    if (!(options.floors >= 1)) throw new Error('--floors must be a positive number');
+    if (options.floors > 1 && options.topology !== 'square') throw new Error('--floors needs the square topology');
+    if (!(options.growingTree in Maze.GROWING_TREE_STRATEGIES)) {
+        throw new Error(`Unknown Growing Tree strategy: ${options.growingTree}`);
+    }
+
+    // Row-based generators and Recursive Division need the square grid
+    const available = options.topology === 'square' ? Maze.getAlgorithms() : Maze.GRAPH_ALGORITHMS;
+    if (options.generators === null) options.generators = available;
+    for (const id of options.generators) {
+        if (!Maze.getAlgorithms().includes(id)) throw new Error(`Unknown generator: ${id}`);
+        if (!available.includes(id)) throw new Error(`Generator ${id} does not support topology ${options.topology}`);
+    }
+    for (const id of options.solvers) {
+        if (!(id in PathfindingAlgorithms.ALGORITHMS)) throw new Error(`Unknown solver: ${id}`);
+    }
+    if (options.diagonal !== null && !(options.diagonal in Maze.CORNER_RULES)) {
+        throw new Error(`Unknown corner rule: ${options.diagonal}`);
+    }
+    if (!(options.heuristic in PathfindingAlgorithms.HEURISTICS)) {
+        throw new Error(`Unknown heuristic: ${options.heuristic}`);
+    }
+    if (!(options.weight >= 1)) throw new Error('--weight must be at least 1');
+
+    return options;
+}
+
+// ==========================================
+// STATISTICS
+// ==========================================
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Nearest-rank percentile (p in 0-100)
+ */
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+}
+
+// ==========================================
+// BENCHMARK
+// ==========================================
+
+function run(options) {
+    const rows = [];
+
+    for (const generator of options.generators) {
+        for (const size of options.sizes) {
+            const genTimes = [];
+            const samples = {};
+            for (const solver of options.solvers) {
+                samples[solver] = { times: [], nodes: [], lengths: [], costs: [], solved: 0 };
+            }
+
+            for (let i = 0; i < options.runs; i++) {
+                const genStart = performance.now();
+                const maze = new Maze(size, generator, {
+                    seed: `${options.seed}-${i}`,
+                    terrain: options.terrain,
+                    braid: options.braid,
+                    loops: options.loops,
+                    topology: options.topology,
+                    floors: options.floors,
+                    growingTree: options.growingTree
+                }).generate();
+                genTimes.push(performance.now() - genStart);
+                if (options.diagonal !== null) maze.setMovement(true, options.diagonal);
+
+                const pathfinder = new PathfindingAlgorithms(maze);
+                pathfinder.heuristic = options.heuristic;
+                pathfinder.weight = options.weight;
+                for (const solver of options.solvers) {
+                    const solveStart = performance.now();
+                    const result = pathfinder.solve(solver, maze.start, maze.end);
+                    const time = performance.now() - solveStart;
+
+                    const sample = samples[solver];
+                    sample.times.push(time);
+                    sample.nodes.push(result.visited.length);
+                    if (result.path.length > 0) {
+                        sample.solved++;
+                        sample.lengths.push(result.path.length);
+                        sample.costs.push(pathfinder.getPathCost(result.path));
+                    }
+                }
+            }
+
+            for (const solver of options.solvers) {
+                const sample = samples[solver];
+                rows.push({
+                    generator,
+                    size: oddSize(size),
+                    solver,
+                    runs: options.runs,
+                    solved: sample.solved,
+                    genMeanMs: mean(genTimes),
+                    solveMeanMs: mean(sample.times),
+                    solveMedianMs: percentile(sample.times, 50),
+                    solveP95Ms: percentile(sample.times, 95),
+                    nodesMean: mean(sample.nodes),
+                    pathLengthMean: sample.lengths.length ? mean(sample.lengths) : 0,
+                    pathCostMean: sample.costs.length ? mean(sample.costs) : 0
+                });
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Maze rounds even sizes up to the next odd one
+ */
+function oddSize(size) {
+    return size % 2 === 0 ? size + 1 : size;
+}
+
+// ==========================================
+// OUTPUT
+// ==========================================
+
+const COLUMNS = [
+    { key: 'generator', label: 'generator' },
+    { key: 'size', label: 'size' },
+    { key: 'solver', label: 'solver' },
+    { key: 'solved', label: 'solved', format: (v, row) => `${v}/${row.runs}` },
+    { key: 'genMeanMs', label: 'gen mean ms', digits: 3 },
+    { key: 'solveMeanMs', label: 'solve mean ms', digits: 3 },
+    { key: 'solveMedianMs', label: 'median ms', digits: 3 },
+    { key: 'solveP95Ms', label: 'p95 ms', digits: 3 },
+    { key: 'nodesMean', label: 'nodes', digits: 1 },
+    { key: 'pathLengthMean', label: 'path len', digits: 1 },
+    { key: 'pathCostMean', label: 'path cost', digits: 1 }
+];
+
+function formatCell(column, row) {
+    const value = row[column.key];
+    if (column.format) return column.format(value, row);
+    if (column.digits !== undefined) return value.toFixed(column.digits);
+    return String(value);
+}
+
+function toTable(rows) {
+    const cells = rows.map(row => COLUMNS.map(column => formatCell(column, row)));
+    const widths = COLUMNS.map((column, i) =>
+        Math.max(column.label.length, ...cells.map(line => line[i].length))
+    );
+
+    // Text columns left-aligned, numbers right-aligned
+    const pad = (text, i) => (i < 3 ? text.padEnd(widths[i]) : text.padStart(widths[i]));
+    const lines = [
+        COLUMNS.map((column, i) => pad(column.label, i)).join('  '),
+        widths.map(w => '-'.repeat(w)).join('  '),
+        ...cells.map(line => line.map(pad).join('  '))
+    ];
+    return lines.join('\n');
+}
+
+function toCSV(rows) {
+    const keys = ['generator', 'size', 'solver', 'runs', ...COLUMNS.slice(3).map(c => c.key)];
+    const lines = rows.map(row => keys.map(key => {
+        const value = row[key];
+        return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(4) : value;
+    }).join(','));
+    return [keys.join(','), ...lines].join('\n') + '\n';
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        const header = fs.readFileSync(__filename, 'utf8').split('*/')[0];
+        console.log(header.replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const rows = run(options);
+    console.log(toTable(rows));
+
+    if (options.csv) {
+        fs.writeFileSync(options.csv, toCSV(rows));
+        console.log(`\nCSV written to ${options.csv}`);
+    }
+    if (options.json) {
+        const report = { options: { ...options, csv: undefined, json: undefined }, results: rows };
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2) + '\n');
+        console.log(`JSON written to ${options.json}`);
+    }
+}
+
+main();